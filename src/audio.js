@@ -1,151 +1,431 @@
 import * as Tone from 'tone';
-
-// Chord definitions - two octaves
-const CHORDS = {
-    'Eb2': ['Eb2', 'G2', 'Bb2'],
-    'Bb2': ['Bb2', 'D3', 'F3'],
-    'Cm3': ['C3', 'Eb3', 'G3'],
-    'Ab2': ['Ab2', 'C3', 'Eb3'],
-    'Eb3': ['Eb3', 'G3', 'Bb3'],
-    'Bb3': ['Bb3', 'D4', 'F4'],
-    'Cm4': ['C4', 'Eb4', 'G4'],
-    'Ab3': ['Ab3', 'C4', 'Eb4'],
+import { HysteresisQuantizer } from './filters.js';
+import { CalibrationProfile } from './calibration.js';
+import { buildMusicSet, getTonicChord, noteToMidi, parseNote, voiceLead } from './theory.js';
+import { resolvePatch } from './patches.js';
+import { PerformanceLog } from './midiExport.js';
+import { DrumMachine, getHatDensity } from './drums.js';
+import { createModMatrix } from './modulation.js';
+import { Tuning } from './tuning.js';
+import { createRandom, randomSeed } from './random.js';
+
+// Friendly names for quantize / arpeggio grids (the Tone notation in GRID_VALUES also works)
+const GRID_NAMES = {
+    beat: '4n',
+    '8th': '8n',
+    '16th': '16n',
+    bar: '1m'
 };
 
-const CHORD_NAMES = ['Eb2', 'Bb2', 'Cm3', 'Ab2', 'Eb3', 'Bb3', 'Cm4', 'Ab3'];
+const GRID_VALUES = ['1m', '2n', '4n', '8n', '16n', '32n', '4t', '8t', '16t'];
 
-// Bass notes: 1, 4, 5 (Eb, Ab, Bb) across octaves
-const BASS_NOTES_BY_OCTAVE = [
-    ['Eb1', 'Ab1', 'Bb1'],
-    ['Eb2', 'Ab2', 'Bb2'],
-    ['Eb3', 'Ab3', 'Bb3'],
-    ['Eb4', 'Ab4', 'Bb4'],
-];
+// 'beat' → '4n'; null/'off' → null. Anything else is null with a warning (the caller's default applies) -
+// an unknown grid would schedule at NaN and never fire
+export function resolveGrid(grid) {
+    if (!grid || grid === 'off') return null;
 
-export class AudioManager {
-    constructor() {
+    const value = GRID_NAMES[grid] || grid;
+    if (!GRID_VALUES.includes(value)) {
+        console.warn(`Unknown grid "${grid}" - available: ${[...Object.keys(GRID_NAMES), ...GRID_VALUES].join(', ')}`);
+        return null;
+    }
+    return value;
+}
+
+const ARPEGGIO_PATTERNS = ['up', 'down', 'random', 'ordered'];
+
+// Transport position (ticks) of an audio-context time, or of now
+function getTransportTicks(time) {
+    const transport = Tone.getTransport();
+    return time === undefined ? transport.ticks : transport.getTicksAtTime(time);
+}
+
+// One player's instrument: pad + bass chains, chord/bass state and the hands → sound mapping
+class PlayerVoice {
+    constructor(options = {}) {
         this.synth = null;
         this.bassSynth = null;
         this.filter = null;
         this.volume = null;
+        this.reverb = null;
+        this.panner = null;
+        this.bassFilter = null;
+        this.bassReverb = null;
+        this.bassDelay = null;
         this.isStarted = false;
         this.currentChord = null;
         this.lastChordIndex = -1;
+        this.lastInversion = 0;
         this.lastBassNote = null;
         this.bassTriggered = false;
         this.bassTriggeredTime = 0;
+
+        // Chord + bass tables (see theory.js)
+        this.music = options.music || buildMusicSet();
+
+        // Note names → frequencies (see tuning.js)
+        this.tuning = options.tuning || new Tuning({ key: this.music.key });
+
+        // Sound of the pad + bass chains (see patches.js)
+        this.patch = resolvePatch(options.patch);
+        this.handVolume = -15;  // dB, before the patch trim - set by the right hand
+
+        // Gesture hooks - which gesture param drives each (null = off, the default)
+        // e.g. { release: 'leftFist', inversion: 'leftFingerCount', reverb: 'rightRoll' }
+        this.gestureHooks = {
+            release: null,    // true → chord released (sustain while false)
+            inversion: null,  // finger count → 1 = first inversion, 2 = second, else root position
+            reverb: null,     // hand roll (radians) → reverb wet
+            ...options.gestures
+        };
+
+        // Player's hand ranges - identity until calibrated
+        this.calibration = options.calibration || new CalibrationProfile();
+
+        // Hand height must pass a chord boundary by this much (0-1) to change chord
+        const chordHysteresis = options.chordHysteresis !== undefined ? options.chordHysteresis : 0.015;
+        this.chordQuantizer = HysteresisQuantizer.uniform(this.music.chordNames.length, chordHysteresis);
+
+        // Stereo position (-1 left, 1 right) - spreads players apart in two-player mode
+        this.pan = options.pan || 0;
+
+        // Modulation routes (see modulation.js) - each voice smooths its own player's sources
+        this.modMatrix = createModMatrix(options.modRoutes);
+        this.detune = 0;
+
+        // Chord changes + bass hits are logged here for MIDI export (shared between players)
+        this.log = options.log || null;
+        this.playerIndex = options.playerIndex || 0;
+
+        // Quantize chord changes and bass hits to the transport grid ('4n', '8n', '1m' or null)
+        this.quantize = resolveGrid(options.quantize);
+        this.pendingChord = null;      // { chordIndex, inversion } waiting for the grid
+        this.pendingChordEvent = null; // Transport event id
+
+        // Voice leading: each chord takes the voicing closest to the one sounding (ignores inversion gestures)
+        this.voiceLeading = options.voiceLeading || false;
+
+        // Keep notes shared by consecutive chords sounding instead of retriggering everything
+        this.holdCommonTones = options.holdCommonTones || false;
+
+        // MIDI note → frequency it was attacked at, so a release still finds it after setTuning
+        this.heldFrequencies = new Map();
+
+        // Arpeggiator: 'up' | 'down' | 'random' | 'ordered' (root-third-fifth) or null for a held pad
+        this.arpeggio = null;
+        this.arpRate = resolveGrid(options.arpRate) || '8n';
+        this.arpLoop = null;
+        this.chordTones = [];  // Current chord's notes in chord-tone order
+        this.arpStep = 0;
+        this.setArpeggio(options.arpeggio);
+
+        // 'random' arpeggio notes come from the game seed, so a seed replays the same run (see random.js)
+        this.setSeed(options.seed !== undefined && options.seed !== null ? options.seed : randomSeed());
     }
 
-    async init() {
-        // Set tempo
-        Tone.Transport.bpm.value = 120;
-        Tone.Transport.start();
-
-        await Tone.start();
-
-        // Create effects chain
-        const limiter = new Tone.Limiter(-3).toDestination();
-
-        const compressor = new Tone.Compressor({
-            threshold: -20,
-            ratio: 4,
-            attack: 0.003,
-            release: 0.25
-        }).connect(limiter);
-
-        // Reverb for pad
-        const reverb = new Tone.Reverb({
-            decay: 2.5,
-            wet: 0.35
-        }).connect(compressor);
-
-        // Filter
-        this.filter = new Tone.Filter({
-            frequency: 2000,
-            type: 'lowpass',
-            rolloff: -24
-        }).connect(reverb);
-
-        // Volume
-        this.volume = new Tone.Volume(-6).connect(this.filter);
-
-        // Pad synth
+    // Build the pad + bass chains into output (the shared master bus)
+    build(output) {
+        const { pad, bass } = this.patch;
+
+        this.panner = new Tone.Panner(this.pan).connect(output);
+
+        // Pad: synth → volume → filter → reverb
+        this.reverb = new Tone.Reverb(pad.reverb).connect(this.panner);
+        this.filter = new Tone.Filter(pad.filter).connect(this.reverb);
+        this.volume = new Tone.Volume(this.handVolume + pad.volume).connect(this.filter);
         this.synth = new Tone.PolySynth(Tone.Synth, {
-            oscillator: { type: 'sawtooth' },
-            envelope: {
-                attack: 0.1,
-                decay: 0.2,
-                sustain: 0.8,
-                release: 1.0
-            }
+            oscillator: pad.oscillator,
+            envelope: pad.envelope
         }).connect(this.volume);
 
-        // Bass effects
-        const bassDelay = new Tone.FeedbackDelay({
-            delayTime: '8n',
-            feedback: 0.3,
-            wet: 0.4
-        }).connect(compressor);
-
-        const bassReverb = new Tone.Reverb({
-            decay: 1.5,
-            wet: 0.2
-        }).connect(bassDelay);
-
-        const bassFilter = new Tone.Filter({
-            frequency: 1200,
-            type: 'lowpass',
-            rolloff: -24
-        }).connect(bassReverb);
-
-        // Bass synth
+        // Bass: synth → filter → reverb → delay
+        this.bassDelay = new Tone.FeedbackDelay(bass.delay).connect(this.panner);
+        this.bassReverb = new Tone.Reverb(bass.reverb).connect(this.bassDelay);
+        this.bassFilter = new Tone.Filter(bass.filter).connect(this.bassReverb);
         this.bassSynth = new Tone.PolySynth(Tone.Synth, {
-            oscillator: {
-                type: 'fatsawtooth',
-                spread: 20,
-                count: 3
-            },
-            envelope: {
-                attack: 0.01,
-                decay: 0.4,
-                sustain: 0.2,
-                release: 0.5
-            }
-        }).connect(bassFilter);
+            oscillator: bass.oscillator,
+            envelope: bass.envelope
+        }).connect(this.bassFilter);
+
+        // Arpeggiator clock - runs all the time, plays only while arpeggio is set
+        this.arpLoop = new Tone.Loop((time) => this.stepArpeggio(time), this.arpRate).start(0);
 
         this.isStarted = true;
-        console.log('Audio initialized');
     }
 
-    playChord(chordIndex) {
+    playChord(chordIndex, inversion = 0) {
         if (!this.isStarted || !this.synth) return null;
-        if (chordIndex < 0 || chordIndex >= CHORD_NAMES.length) return null;
+        const { chordNames, chords } = this.music;
+        if (chordIndex < 0 || chordIndex >= chordNames.length) return null;
+
+        const chordName = chordNames[chordIndex];
+        if (!chords[chordName]) return null;
 
-        const chordName = CHORD_NAMES[chordIndex];
-        const notes = CHORDS[chordName];
-        if (!notes) return null;
+        const isCurrent = chordIndex === this.lastChordIndex && inversion === this.lastInversion;
 
-        if (chordIndex !== this.lastChordIndex) {
-            this.synth.releaseAll();
-            this.synth.triggerAttack(notes);
-            this.lastChordIndex = chordIndex;
-            this.currentChord = chordName;
+        if (!this.quantize) {
+            if (!isCurrent) {
+                this.startChord(chordIndex, inversion);
+            }
+            return chordName;
+        }
+
+        // Quantized: the latest request wins when the grid comes round
+        if (isCurrent) {
+            this.cancelPendingChord();
+        } else {
+            this.pendingChord = { chordIndex, inversion };
+            if (this.pendingChordEvent === null) {
+                this.pendingChordEvent = Tone.getTransport().scheduleOnce((time) => {
+                    this.pendingChordEvent = null;
+                    if (this.pendingChord) {
+                        const pending = this.pendingChord;
+                        this.pendingChord = null;
+                        this.startChord(pending.chordIndex, pending.inversion, time);
+                    }
+                }, `@${this.quantize}`);
+            }
         }
 
         return chordName;
     }
 
+    // Switch the sounding chord now (or at an audio-context time)
+    startChord(chordIndex, inversion, time) {
+        const chordName = this.music.chordNames[chordIndex];
+        const chordNotes = this.music.chords[chordName];
+        const notes = this.voiceLeading
+            ? voiceLead(this.chordTones, chordNotes)
+            : this.invertChord(chordNotes, inversion);
+
+        if (this.arpeggio) {
+            this.releaseAllNotes(time);
+        } else if (this.holdCommonTones && this.chordTones.length > 0) {
+            // Only the notes that change are released / attacked
+            const previousMidi = this.chordTones.map(noteToMidi);
+            const nextMidi = notes.map(noteToMidi);
+            const leaving = this.chordTones.filter((note, i) => !nextMidi.includes(previousMidi[i]));
+            const arriving = notes.filter((note, i) => !previousMidi.includes(nextMidi[i]));
+
+            this.releaseNotes(leaving, time);
+            this.attackNotes(arriving, time);
+        } else {
+            this.releaseAllNotes(time);
+            this.attackNotes(notes, time);
+        }
+
+        // Arpeggio steps log their own notes (see stepArpeggio)
+        if (this.log && !this.arpeggio) {
+            this.log.logChord(notes, getTransportTicks(time), this.playerIndex);
+        }
+
+        this.chordTones = notes;
+        this.lastChordIndex = chordIndex;
+        this.lastInversion = inversion;
+        this.currentChord = chordName;
+    }
+
+    // Held pad notes go through these so each is released at the frequency it started on
+    attackNotes(notes, time) {
+        if (notes.length === 0) return;
+
+        const frequencies = this.tuning.frequencies(notes);
+        notes.forEach((note, i) => this.heldFrequencies.set(noteToMidi(note), frequencies[i]));
+        this.synth.triggerAttack(frequencies, time);
+    }
+
+    releaseNotes(notes, time) {
+        const frequencies = [];
+        notes.forEach((note) => {
+            const midi = noteToMidi(note);
+            if (this.heldFrequencies.has(midi)) {
+                frequencies.push(this.heldFrequencies.get(midi));
+                this.heldFrequencies.delete(midi);
+            }
+        });
+
+        if (frequencies.length > 0) {
+            this.synth.triggerRelease(frequencies, time);
+        }
+    }
+
+    releaseAllNotes(time) {
+        this.synth.releaseAll(time);
+        this.heldFrequencies.clear();
+    }
+
+    cancelPendingChord() {
+        this.pendingChord = null;
+        if (this.pendingChordEvent !== null) {
+            Tone.getTransport().clear(this.pendingChordEvent);
+            this.pendingChordEvent = null;
+        }
+    }
+
+    // Raise the lowest chord tones an octave, one per inversion (keeps root-third-fifth order)
+    invertChord(notes, inversion) {
+        return notes.map((note, i) => {
+            if (i >= inversion % notes.length) return note;
+            const { name, octave } = parseNote(note);
+            return `${name}${octave + 1}`;
+        });
+    }
+
     releaseChord() {
+        this.cancelPendingChord();
         if (this.synth) {
-            this.synth.releaseAll();
+            this.releaseAllNotes();
+            if (this.log) {
+                this.log.logRelease(getTransportTicks(), this.playerIndex);
+            }
+            this.chordTones = [];
             this.currentChord = null;
             this.lastChordIndex = -1;
+            this.lastInversion = 0;
+        }
+    }
+
+    // Switch between a held pad (null) and an arpeggio pattern
+    setArpeggio(pattern) {
+        const next = ARPEGGIO_PATTERNS.includes(pattern) ? pattern : null;
+        if (next === this.arpeggio) return;
+
+        this.arpeggio = next;
+        this.arpStep = 0;
+
+        if (!this.synth || this.chordTones.length === 0) return;
+
+        // Swap the held chord for arpeggio notes, or back again
+        this.releaseAllNotes();
+        if (!this.arpeggio) {
+            this.attackNotes(this.chordTones);
+            if (this.log) this.log.logChord(this.chordTones, getTransportTicks(), this.playerIndex);
+        } else if (this.log) {
+            this.log.logRelease(getTransportTicks(), this.playerIndex);
+        }
+    }
+
+    setQuantize(grid) {
+        this.quantize = resolveGrid(grid);
+        if (!this.quantize && this.pendingChord) {
+            const pending = this.pendingChord;
+            this.cancelPendingChord();
+            this.startChord(pending.chordIndex, pending.inversion);
+        }
+    }
+
+    stepArpeggio(time) {
+        if (!this.arpeggio || this.chordTones.length === 0) return;
+
+        const note = this.getArpeggioNote(this.arpStep++);
+        this.synth.triggerAttackRelease(this.tuning.frequency(note), this.arpRate, time);
+        if (this.log) {
+            this.log.logNote(note, getTransportTicks(time), Tone.Time(this.arpRate).toTicks(), this.playerIndex);
+        }
+    }
+
+    getArpeggioNote(step) {
+        const tones = this.chordTones;
+
+        switch (this.arpeggio) {
+            case 'up':
+            case 'down': {
+                const sorted = [...tones].sort((a, b) => noteToMidi(a) - noteToMidi(b));
+                if (this.arpeggio === 'down') sorted.reverse();
+                return sorted[step % sorted.length];
+            }
+            case 'random':
+                return tones[Math.floor(this.random() * tones.length)];
+            default:
+                // 'ordered' - root, third, fifth in whatever register they're voiced
+                return tones[step % tones.length];
+        }
+    }
+
+    // Switch sound on the existing graph - held notes keep playing.
+    // Pad volume (plus the new patch's trim) and cutoff stay where the hands put them
+    setPatch(patch) {
+        this.patch = resolvePatch(patch);
+        if (!this.isStarted) return;
+
+        const { pad, bass } = this.patch;
+        const { frequency, ...padFilter } = pad.filter;
+
+        this.synth.set({ oscillator: pad.oscillator, envelope: pad.envelope });
+        this.volume.volume.rampTo(this.handVolume + pad.volume, 0.1);
+        this.filter.set(padFilter);
+        this.reverb.set(pad.reverb);
+
+        this.bassSynth.set({ oscillator: bass.oscillator, envelope: bass.envelope });
+        this.bassFilter.set(bass.filter);
+        this.bassReverb.set(bass.reverb);
+        this.bassDelay.set(bass.delay);
+    }
+
+    // Destination values from the modulation matrix: { filterQ, reverbWet, delayFeedback, detune, pan }
+    applyModulation(values) {
+        if (!this.isStarted) return;
+
+        if (values.filterQ !== undefined) {
+            this.filter.Q.rampTo(values.filterQ, 0.1);
+        }
+        if (values.reverbWet !== undefined) {
+            this.setReverbWet(values.reverbWet);
+        }
+        if (values.delayFeedback !== undefined) {
+            this.bassDelay.feedback.rampTo(values.delayFeedback, 0.1);
+        }
+        // PolySynth has no detune signal - only update when it moves a whole cent
+        if (values.detune !== undefined && Math.abs(values.detune - this.detune) >= 1) {
+            this.detune = values.detune;
+            this.synth.set({ detune: this.detune });
+            this.bassSynth.set({ detune: this.detune });
+        }
+        // Offset from the player's own position
+        if (values.pan !== undefined) {
+            this.panner.pan.rampTo(Math.min(Math.max(this.pan + values.pan, -1), 1), 0.1);
+        }
+    }
+
+    // Applies from the next chord / bass note (held notes still release at the pitch they started on)
+    setTuning(tuning) {
+        this.tuning = tuning;
+    }
+
+    // New chord/bass tables (e.g. a level in another key) - the held chord is released
+    setMusic(music, tuning) {
+        this.releaseChord();
+        this.music = music;
+        this.tuning = tuning;
+        this.chordQuantizer = HysteresisQuantizer.uniform(music.chordNames.length, this.chordQuantizer.margin);
+        this.lastBassNote = null;
+    }
+
+    setModRoutes(routeSet) {
+        this.modMatrix = createModMatrix(routeSet);
+    }
+
+    // Restarts the random arpeggio sequence - each player gets its own
+    setSeed(seed) {
+        this.random = createRandom(seed + this.playerIndex);
+    }
+
+    setReverbWet(wet) {
+        if (this.reverb && isFinite(wet)) {
+            this.reverb.wet.rampTo(wet, 0.1);
         }
     }
 
+    setCalibration(profile) {
+        this.calibration = profile;
+    }
+
+    // Hand volume (dB) - the patch's pad.volume is added as a trim
     setVolume(db) {
-        if (this.volume && isFinite(db)) {
-            this.volume.volume.rampTo(db, 0.1);
+        if (!isFinite(db)) return;
+        this.handVolume = db;
+        if (this.volume) {
+            this.volume.volume.rampTo(db + this.patch.pad.volume, 0.1);
         }
     }
 
@@ -155,31 +435,50 @@ export class AudioManager {
         }
     }
 
-    triggerBass(x, y) {
+    triggerBass(x, y, now = Date.now()) {
         if (!this.bassSynth) return null;
 
-        const numCols = BASS_NOTES_BY_OCTAVE[0].length;
-        const numRows = BASS_NOTES_BY_OCTAVE.length;
+        const bassNotesByOctave = this.music.bassNotesByOctave;
+        const numCols = bassNotesByOctave[0].length;
+        const numRows = bassNotesByOctave.length;
 
         const colIndex = Math.floor(Math.min(Math.max(x, 0), 0.99) * numCols);
         const rowIndex = Math.floor(Math.min(Math.max(y, 0), 0.99) * numRows);
         const octaveIndex = numRows - 1 - rowIndex;
 
-        const note = BASS_NOTES_BY_OCTAVE[octaveIndex][colIndex];
+        const note = bassNotesByOctave[octaveIndex][colIndex];
 
-        this.bassSynth.triggerAttackRelease(note, '8n', undefined, 0.8);
+        // Quantized hits land on the next grid line
+        const time = this.quantize ? Tone.getTransport().nextSubdivision(this.quantize) : undefined;
+        this.bassSynth.triggerAttackRelease(this.tuning.frequency(note), '8n', time, 0.8);
+        if (this.log) {
+            this.log.logBass(note, getTransportTicks(time), Tone.Time('8n').toTicks(), 0.8, this.playerIndex);
+        }
         this.lastBassNote = note;
         this.bassTriggered = true;
-        this.bassTriggeredTime = Date.now();
+        this.bassTriggeredTime = now;
 
         return note;
     }
 
     updateFromHands(params) {
+        // Input clock if it has one (see HandTracker.onResults)
+        const now = params.timestamp !== undefined ? params.timestamp : Date.now();
+
+        const calibration = this.calibration;
+
+        const hooks = this.gestureHooks;
+
         // Update chord based on left hand Y
-        if (params.leftHandY !== undefined) {
-            const chordIndex = Math.floor(params.leftHandY * CHORD_NAMES.length);
-            this.playChord(Math.min(chordIndex, CHORD_NAMES.length - 1));
+        if (hooks.release && params[hooks.release]) {
+            // Release gesture held - let the chord ring out
+            if (this.currentChord) {
+                this.releaseChord();
+            }
+        } else if (params.leftHandY !== undefined) {
+            const handY = calibration.normalize('leftHandY', params.leftHandY);
+            const inversion = hooks.inversion ? this.getInversion(params[hooks.inversion]) : 0;
+            this.playChord(this.chordQuantizer.update(handY), inversion);
         } else {
             // No left hand, release chord
             // this.releaseChord();
@@ -187,30 +486,46 @@ export class AudioManager {
 
         // Update volume based on right hand Y
         if (params.rightHandY !== undefined) {
-            const volDb = this.mapRange(1 - params.rightHandY, 0, 1, -30, -3);
+            const handY = calibration.normalize('rightHandY', params.rightHandY);
+            const volDb = this.mapRange(1 - handY, 0, 1, -30, -3);
             this.setVolume(volDb);
             params.volume = volDb;
         }
 
         // Update filter based on right hand pinch
         if (params.rightPinchDist !== undefined) {
-            const filterFreq = this.mapRange(params.rightPinchDist, 0.03, 0.33, 80, 12000);
+            const pinch = calibration.normalize('rightPinchDist', params.rightPinchDist);
+            const filterFreq = this.mapRange(pinch, 0, 1, 80, 12000);
             this.setFilter(filterFreq);
             params.filterFreq = filterFreq;
         }
 
+        // Reverb amount from hand roll - upright is dry, tilted 90° is wet
+        if (hooks.reverb && params[hooks.reverb] !== undefined) {
+            const wet = this.mapRange(Math.abs(params[hooks.reverb]), 0, Math.PI / 2, 0.1, 0.8);
+            this.setReverbWet(wet);
+            params.reverbWet = wet;
+        }
+
         // Trigger bass on left hand pinch
         if (params.leftPinchTriggered && params.leftPinchX !== undefined && params.leftPinchY !== undefined) {
-            const note = this.triggerBass(params.leftPinchX, params.leftPinchY);
+            // Pinch height picks the octave - same range as the left hand
+            const pinchY = calibration.normalize('leftHandY', params.leftPinchY);
+            const note = this.triggerBass(params.leftPinchX, pinchY, now);
             params.bassNote = note;
             params.bassTriggered = true;
         }
 
         // Clear bass triggered flag after a short time
-        if (this.bassTriggered && Date.now() - this.bassTriggeredTime > 500) {
+        if (this.bassTriggered && now - this.bassTriggeredTime > 500) {
             this.bassTriggered = false;
         }
 
+        // Routed modulation on top of the fixed mapping
+        if (this.modMatrix) {
+            this.applyModulation(this.modMatrix.update(params));
+        }
+
         // Add current state to params
         params.chordName = this.currentChord;
         params.bassTriggered = this.bassTriggered;
@@ -219,8 +534,253 @@ export class AudioManager {
         }
     }
 
+    getInversion(fingerCount) {
+        if (fingerCount === 1) return 1;
+        if (fingerCount === 2) return 2;
+        return 0;
+    }
+
     mapRange(value, inMin, inMax, outMin, outMax) {
         const clampedValue = Math.min(Math.max(value, inMin), inMax);
         return outMin + (outMax - outMin) * ((clampedValue - inMin) / (inMax - inMin));
     }
 }
+
+export class AudioManager {
+    constructor(options = {}) {
+        this.isStarted = false;
+        this.compressor = null;
+        this.limiter = null;       // Music only (voices + drums) - what the spectrum analyser hears
+        this.effectsBus = null;    // Chimes / sound effects join the output after the music limiter
+        this.output = null;        // Everything (what gets recorded)
+
+        // Shared by every voice - pass the same set to SnowTree so clusters ask for playable chords
+        this.music = options.music || buildMusicSet();
+
+        // Preset id or patch object (see patches.js) - voices and the master chain
+        this.patch = resolvePatch(options.patch);
+
+        // '12tet' (default), 'just', or { system: 'scala', ratios: [...] } - relative to the music key
+        this.tuning = this.createTuning(options.tuning);
+
+        // Everything played, for MIDI export
+        this.performanceLog = new PerformanceLog();
+
+        // Optional drum layer (options.drums = pattern name, see drums.js).
+        // Right fist fills only when gestures are on
+        this.drumFillGesture = options.gestures ? 'rightFist' : null;
+        this.drums = options.drums
+            ? new DrumMachine({ pattern: options.drums, fillGesture: this.drumFillGesture })
+            : null;
+
+        // One voice per player (options.players, default 1), panned apart when there are two
+        const players = options.players || 1;
+        this.voices = [];
+        for (let i = 0; i < players; i++) {
+            const pan = players > 1 ? (i / (players - 1)) * 0.7 - 0.35 : 0;
+            this.voices.push(new PlayerVoice({
+                ...options,
+                music: this.music,
+                patch: this.patch,
+                tuning: this.tuning,
+                pan,
+                log: this.performanceLog,
+                playerIndex: i
+            }));
+        }
+    }
+
+    // Player 1's voice - single-player code talks to this one
+    get voice() {
+        return this.voices[0];
+    }
+
+    get currentChord() {
+        return this.voice.currentChord;
+    }
+
+    async init() {
+        // Set tempo - on the current context's transport (an offline render has its own)
+        const transport = Tone.getTransport();
+        transport.bpm.value = 120;
+        transport.start();
+
+        // Only a live context needs resuming after the user gesture
+        if (!(Tone.getContext() instanceof Tone.OfflineContext)) {
+            await Tone.start();
+        }
+
+        // Create shared master chain. Feedback sounds get their own limiter into the output so
+        // they never reach the music tap (a cluster's chime would otherwise help it match)
+        const { master } = this.patch;
+        this.output = new Tone.Gain().toDestination();
+        this.limiter = new Tone.Limiter(master.limiter).connect(this.output);
+        this.compressor = new Tone.Compressor(master.compressor).connect(this.limiter);
+        this.effectsBus = new Tone.Limiter(master.limiter).connect(this.output);
+
+        this.voices.forEach(voice => voice.build(this.compressor));
+        if (this.drums) {
+            this.drums.build(this.compressor);
+        }
+
+        this.isStarted = true;
+        console.log(`Audio initialized (${this.voices.length} voice${this.voices.length > 1 ? 's' : ''})`);
+    }
+
+    // Per-player controls: playerIndex picks the voice (player 1 by default);
+    // setVolume with no index sets every voice (e.g. the tutorial's starting level)
+    getVoice(playerIndex = 0) {
+        return this.voices[playerIndex] || this.voice;
+    }
+
+    playChord(chordIndex, inversion = 0, playerIndex = 0) {
+        return this.getVoice(playerIndex).playChord(chordIndex, inversion);
+    }
+
+    releaseChord(playerIndex = 0) {
+        this.getVoice(playerIndex).releaseChord();
+    }
+
+    setVolume(db, playerIndex = null) {
+        const voices = playerIndex === null ? this.voices : [this.getVoice(playerIndex)];
+        voices.forEach(voice => voice.setVolume(db));
+    }
+
+    setFilter(freq, playerIndex = 0) {
+        this.getVoice(playerIndex).setFilter(freq);
+    }
+
+    setReverbWet(wet, playerIndex = 0) {
+        this.getVoice(playerIndex).setReverbWet(wet);
+    }
+
+    triggerBass(x, y, now = Date.now(), playerIndex = 0) {
+        return this.getVoice(playerIndex).triggerBass(x, y, now);
+    }
+
+    // Win: held chords stop and the tonic chord rolls up over the root (player 1's pad and bass)
+    playFinale() {
+        if (!this.isStarted) return;
+
+        this.voices.forEach(voice => voice.releaseChord());
+
+        const root = getTonicChord(this.music, 1)[0];
+        const notes = [...getTonicChord(this.music, 3), ...getTonicChord(this.music, 4)];
+        const now = Tone.now() + 0.05;
+
+        this.voice.bassSynth.triggerAttackRelease(this.tuning.frequency(root), '1m', now, 0.8);
+        notes.forEach((note, i) => {
+            this.voice.synth.triggerAttackRelease(this.tuning.frequency(note), '1m', now + i * 0.08, 0.7);
+        });
+    }
+
+    // Change preset at runtime without dropping the held chord
+    setPatch(patch) {
+        this.patch = resolvePatch(patch);
+        this.voices.forEach(voice => voice.setPatch(this.patch));
+
+        if (this.isStarted) {
+            this.compressor.set(this.patch.master.compressor);
+            this.limiter.threshold.rampTo(this.patch.master.limiter, 0.1);
+        }
+        console.log(`Patch: ${this.patch.name}`);
+    }
+
+    // Standard MIDI File of everything played so far (pad + bass tracks, at the transport tempo)
+    exportMidi() {
+        return this.performanceLog.toMidiFile(this.getMidiTiming());
+    }
+
+    downloadMidi() {
+        if (this.performanceLog.isEmpty) {
+            console.log('Nothing played yet - no MIDI to export');
+            return;
+        }
+        this.performanceLog.download(this.getMidiTiming());
+    }
+
+    // Resolution, tempo and current position of the context's transport
+    getMidiTiming() {
+        const transport = Tone.getTransport();
+        return {
+            ppq: transport.PPQ,
+            bpm: transport.bpm.value,
+            endTicks: transport.ticks
+        };
+    }
+
+    // Grid for chord changes + bass hits: 'beat', '8th', 'bar' (or Tone notation), null for off
+    setQuantize(grid) {
+        this.voices.forEach(voice => voice.setQuantize(grid));
+    }
+
+    // 'up' | 'down' | 'random' | 'ordered', or null for the held pad
+    setArpeggio(pattern) {
+        this.voices.forEach(voice => voice.setArpeggio(pattern));
+    }
+
+    setCalibration(profile, playerIndex = 0) {
+        if (this.voices[playerIndex]) {
+            this.voices[playerIndex].setCalibration(profile);
+        }
+    }
+
+    updateFromHands(params) {
+        // Two-player params carry one params object per player (players[0] is params itself)
+        const players = params.players || [params];
+
+        players.forEach((playerParams, i) => {
+            if (this.voices[i]) {
+                this.voices[i].updateFromHands(playerParams);
+            }
+        });
+
+        // Drums follow player 1: hands further apart add hats
+        if (this.drums) {
+            this.drums.updateFromHands(params, getHatDensity(params, players.length));
+        }
+    }
+
+    createTuning(tuning) {
+        const options = typeof tuning === 'string' ? { system: tuning } : tuning;
+        // Kept so the same scale can be rebuilt on another key
+        this.tuningRatios = options && options.ratios;
+        return new Tuning({ ...options, key: this.music.key });
+    }
+
+    // Switch key / chord set - tuning follows the new key
+    setMusic(music) {
+        this.music = music;
+        this.tuning = this.createTuning({ system: this.tuning.system, ratios: this.tuningRatios });
+        this.voices.forEach(voice => voice.setMusic(music, this.tuning));
+    }
+
+    setTuning(tuning) {
+        this.tuning = this.createTuning(tuning);
+        this.voices.forEach(voice => voice.setTuning(this.tuning));
+        console.log(`Tuning: ${this.tuning.system}`);
+    }
+
+    // Route set JSON (see modulation.js), or null for the fixed mapping only
+    setModRoutes(routeSet) {
+        this.voices.forEach(voice => voice.setModRoutes(routeSet));
+    }
+
+    // Game seed (see random.js) - call on every new tree or replay
+    setSeed(seed) {
+        this.voices.forEach(voice => voice.setSeed(seed));
+    }
+
+    // Drum pattern name (see drums.js), or null to stop the drums
+    setDrumPattern(pattern) {
+        if (!this.drums) {
+            if (!pattern) return;
+            this.drums = new DrumMachine({ pattern, fillGesture: this.drumFillGesture });
+            if (this.isStarted) {
+                this.drums.build(this.compressor);
+            }
+            return;
+        }
+        this.drums.setPattern(pattern);
+    }
+}
@@ -0,0 +1,261 @@
+import * as Tone from 'tone';
+
+const TIMELINE_VERSION = 1;
+
+// Records the master output (music + effects) and exports it as a WAV file
+export class AudioRecorder {
+    constructor(source) {
+        this.source = source;
+        this.recorder = null;
+        this.recording = false;
+    }
+
+    static get supported() {
+        return Tone.Recorder.supported;
+    }
+
+    start() {
+        if (this.recording) return;
+
+        if (!this.recorder) {
+            this.recorder = new Tone.Recorder();
+            this.source.connect(this.recorder);
+        }
+        this.recorder.start();
+        this.recording = true;
+        console.log('Audio recording started');
+    }
+
+    // Stops and resolves with a WAV blob
+    async stop() {
+        if (!this.recording) return null;
+        this.recording = false;
+
+        // MediaRecorder only gives compressed audio - decode it back to PCM for the WAV
+        const compressed = await this.recorder.stop();
+        const buffer = await Tone.getContext().decodeAudioData(await compressed.arrayBuffer());
+
+        console.log(`Audio recording stopped (${buffer.duration.toFixed(1)}s)`);
+        return new Blob([encodeWav(buffer)], { type: 'audio/wav' });
+    }
+
+    async stopAndDownload(filename = `synthsnow-${Date.now()}.wav`) {
+        const wav = await this.stop();
+        if (wav) {
+            downloadBlob(wav, filename);
+        }
+        return wav;
+    }
+
+    dispose() {
+        if (this.recorder) {
+            this.recorder.dispose();
+            this.recorder = null;
+        }
+    }
+}
+
+// Captures the params stream (what the hands did) so a performance can be re-rendered offline
+export class ParamsTimeline {
+    constructor() {
+        this.frames = [];
+        this.recording = false;
+        this.startTime = null;
+
+        // Game seed (see random.js) - renderTimeline seeds its AudioManager with it
+        this.seed = null;
+    }
+
+    start(seed = null) {
+        this.frames = [];
+        this.recording = true;
+        this.startTime = null;
+        this.seed = seed;
+    }
+
+    stop() {
+        this.recording = false;
+        return this.toJSON();
+    }
+
+    // Drop the frames so far (a new game, maybe a new tree) - keeps recording if it was
+    clear(seed = this.seed) {
+        this.frames = [];
+        this.startTime = null;
+        this.seed = seed;
+    }
+
+    get duration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].t / 1000 : 0;
+    }
+
+    capture(params) {
+        if (!this.recording) return;
+
+        const timestamp = params.timestamp !== undefined ? params.timestamp : Date.now();
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+
+        this.frames.push({
+            t: timestamp - this.startTime,
+            params: snapshotParams(params)
+        });
+    }
+
+    toJSON() {
+        return {
+            version: TIMELINE_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: this.seed,
+            frames: this.frames
+        };
+    }
+
+    static fromJSON(data) {
+        if (data.version !== TIMELINE_VERSION || !Array.isArray(data.frames)) {
+            throw new Error(`Unsupported params timeline version: ${data.version}`);
+        }
+        const timeline = new ParamsTimeline();
+        timeline.frames = data.frames;
+        timeline.seed = data.seed !== undefined ? data.seed : null;
+        return timeline;
+    }
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load params timeline ${url} (${response.status})`);
+        }
+        return ParamsTimeline.fromJSON(await response.json());
+    }
+
+    download(filename = `synthsnow-params-${Date.now()}.json`) {
+        downloadBlob(new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' }), filename);
+    }
+}
+
+// Plays a params timeline through a fresh AudioManager in an OfflineContext.
+// Same timeline + same options → same audio, no speakers needed: the AudioManager is seeded
+// with the timeline's seed (0 if it has none), so random arpeggios replay too.
+// Resolves with the rendered ToneAudioBuffer (downloadWav(buffer.get()) for a file)
+export async function renderTimeline(timeline, options = {}) {
+    const duration = options.duration || timeline.duration + (options.tail !== undefined ? options.tail : 2);
+
+    // Loaded here so the recorder and timeline code don't pull in the synth patches (and run in Node)
+    const { AudioManager } = await import('./audio.js');
+
+    return Tone.Offline(async ({ transport }) => {
+        const audioManager = new AudioManager({
+            ...options.audio,
+            seed: timeline.seed !== null ? timeline.seed : 0
+        });
+        await audioManager.init();
+
+        timeline.frames.forEach((frame) => {
+            transport.schedule(() => {
+                // Timestamps relative to the render, like a live session starting at 0
+                audioManager.updateFromHands(restoreParams(frame.params, frame.t));
+            }, frame.t / 1000);
+        });
+
+        // Frames only run once the offline transport rolls
+        transport.start(0);
+    }, duration, options.channels || 2, options.sampleRate || 44100);
+}
+
+// AudioBuffer → 16-bit PCM WAV (ArrayBuffer)
+export function encodeWav(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const length = audioBuffer.length;
+    const dataSize = length * channels * 2;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // fmt chunk - PCM, interleaved
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+
+    // data chunk
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = [];
+    for (let c = 0; c < channels; c++) {
+        channelData.push(audioBuffer.getChannelData(c));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+
+    return buffer;
+}
+
+export function downloadWav(audioBuffer, filename = `synthsnow-render-${Date.now()}.wav`) {
+    downloadBlob(new Blob([encodeWav(audioBuffer)], { type: 'audio/wav' }), filename);
+}
+
+// Plain copy of the input fields - params.players[0] is params itself, so no straight JSON
+export function snapshotParams(params) {
+    const copy = (source) => {
+        const plain = {};
+        for (const key in source) {
+            const value = source[key];
+            if (key !== 'players' && key !== 'timestamp' && (typeof value !== 'object' || value === null)) {
+                plain[key] = value;
+            }
+        }
+        return plain;
+    };
+
+    const snapshot = copy(params);
+    if (params.players && params.players.length > 1) {
+        snapshot.players = params.players.slice(1).map(copy);
+    }
+    return snapshot;
+}
+
+// Snapshot → params again, with players[0] pointing back at the top level
+export function restoreParams(snapshot, timestamp) {
+    const params = { ...snapshot, timestamp };
+    if (snapshot.players) {
+        params.players = [params, ...snapshot.players.map(player => ({ ...player, timestamp }))];
+    }
+    return params;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
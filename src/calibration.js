@@ -0,0 +1,91 @@
+const STORAGE_KEY = 'synthsnow.calibration';
+
+// Uncalibrated ranges - the fixed mapping every player got before calibration
+const DEFAULT_RANGES = {
+    leftHandY: { min: 0, max: 1 },
+    rightHandY: { min: 0, max: 1 },
+    rightPinchDist: { min: 0.03, max: 0.33 }
+};
+
+// Spans smaller than this are treated as a bad measurement and ignored
+const MIN_SPANS = {
+    leftHandY: 0.15,
+    rightHandY: 0.15,
+    rightPinchDist: 0.05
+};
+
+// Pull measured extremes in a little so players don't have to strain to hit them
+const RANGE_INSET = 0.05;
+
+// A player's reachable hand height and pinch span, used to map raw params onto 0-1
+export class CalibrationProfile {
+    constructor(name = 'default', ranges = {}) {
+        this.name = name;
+        this.ranges = {};
+
+        for (const param in DEFAULT_RANGES) {
+            this.ranges[param] = { ...DEFAULT_RANGES[param], ...ranges[param] };
+        }
+    }
+
+    // Raw param value → 0-1 within this player's range (clamped)
+    normalize(param, value) {
+        const range = this.ranges[param];
+        if (!range || range.max <= range.min) return value;
+
+        const t = (value - range.min) / (range.max - range.min);
+        return Math.max(0, Math.min(1, t));
+    }
+
+    // Build from the min/max the tutorial tracked; bad measurements fall back to defaults
+    static fromTutorial(name, tutorial) {
+        const measured = {
+            leftHandY: { min: tutorial.leftHandMinY, max: tutorial.leftHandMaxY },
+            rightHandY: { min: tutorial.rightHandMinY, max: tutorial.rightHandMaxY },
+            rightPinchDist: { min: tutorial.rightPinchMinDist, max: tutorial.rightPinchMaxDist }
+        };
+
+        const ranges = {};
+        for (const param in measured) {
+            const { min, max } = measured[param];
+            const span = max - min;
+
+            if (isFinite(span) && span >= MIN_SPANS[param]) {
+                ranges[param] = {
+                    min: min + span * RANGE_INSET,
+                    max: max - span * RANGE_INSET
+                };
+            } else {
+                console.warn(`Calibration: ${param} range too small, using default`);
+            }
+        }
+
+        return new CalibrationProfile(name, ranges);
+    }
+
+    static loadAll() {
+        try {
+            return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not load calibration profiles:', error);
+            return {};
+        }
+    }
+
+    // Stored profile for this player, or null if they haven't calibrated
+    static load(name) {
+        const stored = CalibrationProfile.loadAll()[name];
+        return stored ? new CalibrationProfile(name, stored.ranges) : null;
+    }
+
+    save() {
+        const profiles = CalibrationProfile.loadAll();
+        profiles[this.name] = { ranges: this.ranges };
+
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+        } catch (error) {
+            console.warn('Could not save calibration profile:', error);
+        }
+    }
+}
@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+
+// Win celebration: the camera swings round and up over the tree while glowing particles
+// burst out of it. reset() brings the camera back for the next game.
+
+const PARTICLE_COUNT = 600;
+const BURST_DURATION = 4000;    // ms until the particles have faded
+const CAMERA_DURATION = 5000;   // ms for the swing round the tree
+const RETURN_DURATION = 2000;   // ms back to the starting view
+const GRAVITY = 4;              // Units/s² pulling particles down
+
+// 0-1 → 0-1, slow at both ends
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+export class Celebration {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+
+        this.particles = null;
+        this.velocities = null;
+        this.burstStart = null;
+        this.lastUpdate = null;
+
+        this.cameraMove = null;   // { from, to, fromTarget, toTarget, start, duration }
+        this.homeView = null;     // Camera view before the celebration
+    }
+
+    // center: world position to burst from and swing around (e.g. the middle of the tree)
+    play(center, now = performance.now()) {
+        const { camera, controls } = this.sceneManager;
+
+        this.homeView = {
+            position: camera.position.clone(),
+            target: controls.target.clone()
+        };
+
+        // Quarter turn round the tree, a little further out and higher up
+        const offset = camera.position.clone().sub(center);
+        offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2).multiplyScalar(1.2);
+        offset.y += 8;
+
+        this.startCameraMove(center.clone().add(offset), center.clone(), CAMERA_DURATION, now);
+        this.startBurst(center, now);
+    }
+
+    // Back to the view from before play() and clear any particles
+    reset(now = performance.now()) {
+        this.removeParticles();
+
+        if (this.homeView) {
+            this.startCameraMove(this.homeView.position, this.homeView.target, RETURN_DURATION, now);
+            this.homeView = null;
+        }
+    }
+
+    startCameraMove(position, target, duration, now) {
+        const { camera, controls } = this.sceneManager;
+
+        // Orbit controls would fight the move
+        controls.enabled = false;
+
+        this.cameraMove = {
+            from: camera.position.clone(),
+            to: position.clone(),
+            fromTarget: controls.target.clone(),
+            toTarget: target.clone(),
+            start: now,
+            duration
+        };
+    }
+
+    startBurst(center, now) {
+        this.removeParticles();
+
+        const positions = new Float32Array(PARTICLE_COUNT * 3);
+        const colors = new Float32Array(PARTICLE_COUNT * 3);
+        this.velocities = new Float32Array(PARTICLE_COUNT * 3);
+
+        const white = new THREE.Color(1, 1, 1);
+        const glow = new THREE.Color(0.6, 1.5, 2.0);   // Same cyan as resonating snow
+        const color = new THREE.Color();
+
+        for (let i = 0; i < PARTICLE_COUNT; i++) {
+            positions[i * 3] = center.x;
+            positions[i * 3 + 1] = center.y;
+            positions[i * 3 + 2] = center.z;
+
+            // Random direction, biased upwards
+            const direction = new THREE.Vector3(Math.random() - 0.5, Math.random() * 0.8, Math.random() - 0.5).normalize();
+            const speed = 6 + Math.random() * 10;
+            this.velocities[i * 3] = direction.x * speed;
+            this.velocities[i * 3 + 1] = direction.y * speed;
+            this.velocities[i * 3 + 2] = direction.z * speed;
+
+            color.copy(white).lerp(glow, Math.random());
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 0.35,
+            vertexColors: true,
+            transparent: true,
+            opacity: 1,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.particles = new THREE.Points(geometry, material);
+        this.sceneManager.scene.add(this.particles);
+        this.burstStart = now;
+        this.lastUpdate = now;
+    }
+
+    removeParticles() {
+        if (!this.particles) return;
+
+        this.sceneManager.scene.remove(this.particles);
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+        this.particles = null;
+        this.velocities = null;
+    }
+
+    // Call every frame
+    update(now = performance.now()) {
+        if (this.cameraMove) {
+            this.updateCamera(now);
+        }
+        if (this.particles) {
+            this.updateParticles(now);
+        }
+    }
+
+    updateCamera(now) {
+        const { camera, controls } = this.sceneManager;
+        const move = this.cameraMove;
+        const t = Math.min((now - move.start) / move.duration, 1);
+        const eased = easeInOut(t);
+
+        camera.position.lerpVectors(move.from, move.to, eased);
+        controls.target.lerpVectors(move.fromTarget, move.toTarget, eased);
+        camera.lookAt(controls.target);
+
+        if (t >= 1) {
+            this.cameraMove = null;
+            controls.enabled = true;
+        }
+    }
+
+    updateParticles(now) {
+        const delta = Math.min((now - this.lastUpdate) / 1000, 0.1);
+        this.lastUpdate = now;
+
+        const positions = this.particles.geometry.attributes.position.array;
+        for (let i = 0; i < PARTICLE_COUNT; i++) {
+            this.velocities[i * 3 + 1] -= GRAVITY * delta;
+
+            // A little air drag so the burst hangs before it falls
+            this.velocities[i * 3] *= 0.98;
+            this.velocities[i * 3 + 2] *= 0.98;
+
+            positions[i * 3] += this.velocities[i * 3] * delta;
+            positions[i * 3 + 1] = Math.max(0, positions[i * 3 + 1] + this.velocities[i * 3 + 1] * delta);
+            positions[i * 3 + 2] += this.velocities[i * 3 + 2] * delta;
+        }
+        this.particles.geometry.attributes.position.needsUpdate = true;
+
+        const t = (now - this.burstStart) / BURST_DURATION;
+        this.particles.material.opacity = Math.max(0, 1 - t * t);
+
+        if (t >= 1) {
+            this.removeParticles();
+        }
+    }
+}
@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+import * as Tone from 'tone';
+import { buildMusicSet, getChordLabel, parseNote } from './theory.js';
+
+// Spatialised shimmer for resonating clusters: a small pool of chime voices, each placed with a
+// Panner3D at a cluster's world position. The listener follows the camera, so a cluster about to
+// drop can be heard (and located) even when it's off-screen.
+
+const CHIME_OCTAVE_SHIFT = 3;   // Chord tones played this many octaves up (Eb2 → Eb5)
+const SILENT_DB = -60;
+const LOUDEST_DB = -6;
+
+// Chime notes for a cluster's chord label, from the session's music set
+export function getChimeNotes(chordLabel, music, octaveShift = CHIME_OCTAVE_SHIFT) {
+    const chordName = music.chordNames.find(name => getChordLabel(name) === chordLabel);
+    if (!chordName) return [];
+
+    return music.chords[chordName].map((note) => {
+        const { name, octave } = parseNote(note);
+        return `${name}${octave + octaveShift}`;
+    });
+}
+
+// Progress (0-1) → voice level in dB; quiet at first, swelling as the cluster nears clearing
+export function getChimeLevel(progress) {
+    if (progress <= 0) return SILENT_DB;
+    return SILENT_DB + (LOUDEST_DB - SILENT_DB) * Math.sqrt(Math.min(progress, 1));
+}
+
+export class ClusterChimes {
+    constructor(options = {}) {
+        this.music = options.music || buildMusicSet();
+
+        // Most clusters resonating at once that get a voice (the closest to clearing win)
+        this.maxVoices = options.maxVoices || 6;
+
+        this.voices = [];
+        this.output = null;
+        this.loop = null;
+        this.step = 0;
+
+        this.tempDirection = new THREE.Vector3();
+        this.tempUp = new THREE.Vector3();
+    }
+
+    build(output) {
+        this.output = new Tone.Reverb({ decay: 4, wet: 0.4 }).connect(output);
+
+        for (let i = 0; i < this.maxVoices; i++) {
+            const panner = new Tone.Panner3D({
+                panningModel: 'HRTF',
+                distanceModel: 'inverse',
+                refDistance: 8,
+                rolloffFactor: 1
+            }).connect(this.output);
+
+            const volume = new Tone.Volume(SILENT_DB).connect(panner);
+
+            const synth = new Tone.FMSynth({
+                harmonicity: 3.5,
+                modulationIndex: 2,
+                oscillator: { type: 'sine' },
+                envelope: { attack: 0.005, decay: 1.2, sustain: 0, release: 1.2 },
+                modulationEnvelope: { attack: 0.002, decay: 0.3, sustain: 0, release: 0.3 }
+            }).connect(volume);
+
+            this.voices.push({ clusterId: null, notes: [], progress: 0, panner, volume, synth });
+        }
+
+        // Chimes ring on 8ths - more of them the closer a cluster is to clearing
+        this.loop = new Tone.Loop((time) => this.ring(time), '8n').start(0);
+    }
+
+    // Call every frame: clusters from SnowTree, progress from GameManager.getAllResonanceProgress()
+    update(clusters, resonanceProgress, camera) {
+        if (!this.output) return;
+
+        if (camera) {
+            this.updateListener(camera);
+        }
+
+        // Loudest (closest to clearing) clusters get the voices
+        const active = clusters
+            .filter(cluster => !cluster.cleared && resonanceProgress[cluster.id] > 0)
+            .sort((a, b) => resonanceProgress[b.id] - resonanceProgress[a.id])
+            .slice(0, this.maxVoices);
+        const activeIds = active.map(cluster => cluster.id);
+
+        // Free voices whose cluster stopped resonating (or cleared)
+        this.voices.forEach((voice) => {
+            if (voice.clusterId !== null && !activeIds.includes(voice.clusterId)) {
+                voice.clusterId = null;
+                voice.progress = 0;
+                voice.volume.volume.rampTo(SILENT_DB, 0.3);
+            }
+        });
+
+        active.forEach((cluster) => {
+            let voice = this.voices.find(v => v.clusterId === cluster.id);
+            if (!voice) {
+                voice = this.voices.find(v => v.clusterId === null);
+                if (!voice) return;
+
+                voice.clusterId = cluster.id;
+                voice.notes = getChimeNotes(cluster.chord, this.music);
+
+                const { x, y, z } = cluster.center;
+                voice.panner.setPosition(x, y, z);
+            }
+
+            voice.progress = resonanceProgress[cluster.id];
+            voice.volume.volume.rampTo(getChimeLevel(voice.progress), 0.1);
+        });
+    }
+
+    updateListener(camera) {
+        const { x, y, z } = camera.position;
+        Tone.Listener.setPosition(x, y, z);
+
+        camera.getWorldDirection(this.tempDirection);
+        this.tempUp.copy(camera.up).applyQuaternion(camera.quaternion);
+        Tone.Listener.setOrientation(
+            this.tempDirection.x, this.tempDirection.y, this.tempDirection.z,
+            this.tempUp.x, this.tempUp.y, this.tempUp.z
+        );
+    }
+
+    ring(time) {
+        const step = this.step++;
+
+        this.voices.forEach((voice, i) => {
+            if (voice.clusterId === null || voice.notes.length === 0) return;
+
+            // Every bar at first, every 8th near the end; voices offset so they don't all ring together
+            const interval = Math.max(1, Math.round(8 * (1 - voice.progress)));
+            if ((step + i) % interval !== 0) return;
+
+            const note = voice.notes[(step + voice.clusterId) % voice.notes.length];
+            voice.synth.triggerAttackRelease(note, '16n', time, 0.4 + 0.6 * voice.progress);
+        });
+    }
+}
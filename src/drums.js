@@ -0,0 +1,186 @@
+import * as Tone from 'tone';
+import { HysteresisQuantizer } from './filters.js';
+
+// Synthesised drum layer on a 16-step sequencer locked to Tone.Transport.
+// Patterns are 16-character strings, one per 16th note: 'x' = hit, '.' = rest
+
+export const DRUM_PATTERNS = {
+    basic: {
+        kick:  'x.......x.......',
+        snare: '....x.......x...',
+        hat:   'x...x...x...x...'
+    },
+    fourFloor: {
+        kick:  'x...x...x...x...',
+        snare: '....x.......x...',
+        hat:   '..x...x...x...x.'
+    },
+    halfTime: {
+        kick:  'x.........x.....',
+        snare: '........x.......',
+        hat:   'x.......x.......'
+    },
+    breakbeat: {
+        kick:  'x.....x...x.....',
+        snare: '....x.......x..x',
+        hat:   'x.x.x.x.x.x.x.x.'
+    },
+    pulse: {
+        kick:  'x.......x.......',
+        snare: '................',
+        hat:   '....x.......x...'
+    }
+};
+
+// Hand density levels - each adds hats on top of the pattern's own
+export const DENSITY_LEVELS = ['sparse', 'steady', 'busy'];
+const DENSITY_HATS = [
+    '................',
+    'x.x.x.x.x.x.x.x.',
+    'xxxxxxxxxxxxxxxx'
+];
+
+// Gap between the hands (fraction of a player's share of the screen) for sparse → busy
+const SPREAD_MIN = 0.1;
+const SPREAD_MAX = 0.6;
+
+// params → hat density (0-1), undefined while nothing sets it. Hand height is already volume,
+// so hands spread apart add hats; controllers without hand X send their own hatDensity.
+// players: how many share the screen (each gets that fraction of its width)
+export function getHatDensity(params, players = 1) {
+    if (params.hatDensity !== undefined) return params.hatDensity;
+    if (params.leftHandX === undefined || params.rightHandX === undefined) return undefined;
+
+    const spread = (params.rightHandX - params.leftHandX) * players;
+    return Math.max(0, Math.min(1, (spread - SPREAD_MIN) / (SPREAD_MAX - SPREAD_MIN)));
+}
+
+// Fill over the last beat of a bar
+const FILL = {
+    kick:  '............x...',
+    snare: '............xxxx'
+};
+const FILL_START = 12;
+
+// What plays on one step: { kick, snare, hat } as velocities (0-1, 0 = silent)
+export function getStepEvents(pattern, step, densityIndex = 0, fill = false) {
+    const hit = (row) => row && row[step] === 'x';
+    const inFill = fill && step >= FILL_START;
+
+    const patternHat = hit(pattern.hat);
+    const extraHat = hit(DENSITY_HATS[densityIndex]);
+
+    return {
+        kick: hit(inFill ? FILL.kick : pattern.kick) ? 1 : 0,
+        snare: hit(inFill ? FILL.snare : pattern.snare) ? (inFill ? 0.5 + 0.15 * (step - FILL_START) : 0.8) : 0,
+        hat: patternHat ? 0.5 : (extraHat ? 0.25 : 0)
+    };
+}
+
+export class DrumMachine {
+    constructor(options = {}) {
+        this.kick = null;
+        this.snare = null;
+        this.hat = null;
+        this.sequence = null;
+        this.volume = null;
+
+        this.patternName = null;
+        this.pattern = null;
+        this.setPattern(options.pattern || 'basic');
+
+        // Hat density (see getHatDensity) → level, with hysteresis so hats don't flicker in and out
+        this.densityQuantizer = HysteresisQuantizer.uniform(DENSITY_LEVELS.length, 0.03);
+        this.densityIndex = 0;
+
+        // Gesture param that asks for a fill at the end of the next bar (true = fill), null for none
+        this.fillGesture = options.fillGesture || null;
+        this.fillPending = false;
+        this.fillActive = false;
+    }
+
+    get densityLevel() {
+        return DENSITY_LEVELS[this.densityIndex];
+    }
+
+    build(output) {
+        this.volume = new Tone.Volume(-8).connect(output);
+
+        this.kick = new Tone.MembraneSynth({
+            pitchDecay: 0.05,
+            octaves: 6,
+            envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.1 }
+        }).connect(this.volume);
+
+        const snareFilter = new Tone.Filter({ frequency: 1800, type: 'highpass' }).connect(this.volume);
+        this.snare = new Tone.NoiseSynth({
+            noise: { type: 'white' },
+            envelope: { attack: 0.001, decay: 0.18, sustain: 0 }
+        }).connect(snareFilter);
+
+        this.hat = new Tone.MetalSynth({
+            envelope: { attack: 0.001, decay: 0.05, release: 0.01 },
+            harmonicity: 5.1,
+            modulationIndex: 32,
+            resonance: 6000,
+            octaves: 1.5
+        }).connect(this.volume);
+        this.hat.volume.value = -18;
+
+        const steps = [...Array(16).keys()];
+        this.sequence = new Tone.Sequence((time, step) => this.playStep(step, time), steps, '16n').start(0);
+    }
+
+    // Pattern name (see DRUM_PATTERNS), pattern object, or null to stop the drums
+    setPattern(pattern) {
+        if (typeof pattern === 'string') {
+            if (!DRUM_PATTERNS[pattern]) {
+                console.warn(`Unknown drum pattern "${pattern}" - available: ${Object.keys(DRUM_PATTERNS).join(', ')}`);
+                pattern = 'basic';
+            }
+            this.patternName = pattern;
+            this.pattern = DRUM_PATTERNS[pattern];
+        } else {
+            this.patternName = pattern ? 'custom' : null;
+            this.pattern = pattern;
+        }
+    }
+
+    playStep(step, time) {
+        // Fills start with a fresh bar
+        if (step === 0) {
+            this.fillActive = this.fillPending;
+            this.fillPending = false;
+        }
+
+        if (!this.pattern) return;
+
+        const events = getStepEvents(this.pattern, step, this.densityIndex, this.fillActive);
+        if (events.kick) this.kick.triggerAttackRelease('C1', '8n', time, events.kick);
+        if (events.snare) this.snare.triggerAttackRelease('16n', time, events.snare);
+        if (events.hat) this.hat.triggerAttackRelease('C6', '32n', time, events.hat);
+    }
+
+    // density: 0-1 (0 = the pattern's own hats only)
+    setDensity(density) {
+        this.densityIndex = this.densityQuantizer.update(density);
+    }
+
+    fill() {
+        this.fillPending = true;
+    }
+
+    updateFromHands(params, density) {
+        if (density !== undefined) {
+            this.setDensity(density);
+        }
+        if (this.fillGesture && params[this.fillGesture]) {
+            this.fill();
+        }
+
+        // What clusters with a rhythm requirement check
+        if (this.pattern) {
+            params.rhythm = this.densityLevel;
+        }
+    }
+}
@@ -0,0 +1,148 @@
+// Signal conditioning for noisy hand tracking input
+
+// Simple exponential low-pass, the building block of the One Euro filter
+class LowPassFilter {
+    constructor() {
+        this.value = null;
+    }
+
+    filter(value, alpha) {
+        this.value = this.value === null ? value : alpha * value + (1 - alpha) * this.value;
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+    }
+}
+
+// One Euro filter (Casiez et al. 2012): heavy smoothing when still, light when moving fast
+// minCutoff (Hz) sets jitter when still, beta how quickly smoothing drops with speed
+export class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 0.0, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+
+        this.valueFilter = new LowPassFilter();
+        this.derivativeFilter = new LowPassFilter();
+        this.lastTime = null;
+    }
+
+    // timestamp in ms
+    filter(value, timestamp) {
+        if (this.lastTime === null) {
+            this.lastTime = timestamp;
+            this.derivativeFilter.filter(0, 1);
+            return this.valueFilter.filter(value, 1);
+        }
+
+        // Duplicate or out-of-order frame - keep the last output rather than jumping to the raw value
+        if (timestamp <= this.lastTime) {
+            return this.valueFilter.value;
+        }
+
+        const dt = (timestamp - this.lastTime) / 1000;
+        this.lastTime = timestamp;
+
+        // Smoothed speed drives the cutoff
+        const previous = this.valueFilter.value;
+        const derivative = (value - previous) / dt;
+        const smoothedDerivative = this.derivativeFilter.filter(derivative, this.alpha(this.dCutoff, dt));
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(smoothedDerivative);
+        return this.valueFilter.filter(value, this.alpha(cutoff, dt));
+    }
+
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    reset() {
+        this.valueFilter.reset();
+        this.derivativeFilter.reset();
+        this.lastTime = null;
+    }
+}
+
+// One Euro filter per landmark coordinate (21 landmarks x, y, z)
+export class LandmarkSmoother {
+    constructor(options = {}) {
+        this.options = options;
+        this.filters = [];
+    }
+
+    smooth(landmarks, timestamp) {
+        return landmarks.map((landmark, i) => {
+            if (!this.filters[i]) {
+                this.filters[i] = {
+                    x: new OneEuroFilter(this.options),
+                    y: new OneEuroFilter(this.options),
+                    z: new OneEuroFilter(this.options)
+                };
+            }
+
+            const f = this.filters[i];
+            return {
+                x: f.x.filter(landmark.x, timestamp),
+                y: f.y.filter(landmark.y, timestamp),
+                z: f.z.filter(landmark.z || 0, timestamp)
+            };
+        });
+    }
+
+    reset() {
+        this.filters = [];
+    }
+}
+
+// Maps a value to a band index, but only leaves the current band once the
+// value is more than `margin` past its edge - no flicker at the boundaries
+export class HysteresisQuantizer {
+    // thresholds: ascending band edges (n edges → n + 1 bands)
+    constructor(thresholds, margin = 0) {
+        this.thresholds = thresholds;
+        this.margin = margin;
+        this.index = null;
+    }
+
+    // count equal bands over 0-1
+    static uniform(count, margin = 0) {
+        const thresholds = [];
+        for (let i = 1; i < count; i++) {
+            thresholds.push(i / count);
+        }
+        return new HysteresisQuantizer(thresholds, margin);
+    }
+
+    update(value) {
+        const raw = this.rawIndex(value);
+
+        if (this.index === null || raw === this.index) {
+            this.index = raw;
+            return this.index;
+        }
+
+        const lower = this.index > 0 ? this.thresholds[this.index - 1] : -Infinity;
+        const upper = this.index < this.thresholds.length ? this.thresholds[this.index] : Infinity;
+
+        if (value < lower - this.margin || value > upper + this.margin) {
+            this.index = raw;
+        }
+
+        return this.index;
+    }
+
+    rawIndex(value) {
+        let index = 0;
+        while (index < this.thresholds.length && value >= this.thresholds[index]) {
+            index++;
+        }
+        return index;
+    }
+
+    reset() {
+        this.index = null;
+    }
+}
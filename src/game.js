@@ -3,18 +3,28 @@ export class GameManager {
         this.snowTree = snowTree;
         this.audioManager = audioManager;
         this.resonanceTimer = {};  // Track how long each cluster has been resonating
-        this.RESONANCE_TIME_TO_CLEAR = 5000;  // ms of sustained resonance to clear (5 seconds)
-        this.lastUpdateTime = Date.now();
+        this.RESONANCE_TIME_TO_CLEAR = snowTree.level.clearTime;  // ms of sustained resonance to clear
+        this.lastUpdateTime = null;
         this.tutorialMode = false;  // When true, snow won't fall
+        this.startTime = null;      // First game update after the tutorial
+        this.won = false;
+
+        // Called once when the last cluster clears: ({ time, clustersCleared, totalClusters })
+        this.onGameWon = null;
     }
 
     update(params) {
-        const now = Date.now();
-        const delta = now - this.lastUpdateTime;
+        // Prefer the input's own clock (replays carry recorded timestamps)
+        const now = params.timestamp !== undefined ? params.timestamp : Date.now();
+        const delta = this.lastUpdateTime === null ? 0 : now - this.lastUpdateTime;
         this.lastUpdateTime = now;
 
         // Don't process resonance during tutorial
-        if (this.tutorialMode) return;
+        if (this.tutorialMode || this.won) return;
+
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
 
         // Check which clusters are resonating
         this.snowTree.checkResonance(params);
@@ -49,10 +59,19 @@ export class GameManager {
 
         // Check for win condition
         if (this.isComplete()) {
-            this.onWin();
+            this.onWin(now);
         }
     }
 
+    // Fresh timers for a new tree / level
+    reset() {
+        this.resonanceTimer = {};
+        this.lastUpdateTime = null;
+        this.startTime = null;
+        this.won = false;
+        this.RESONANCE_TIME_TO_CLEAR = this.snowTree.level.clearTime;
+    }
+
     getProgress() {
         const total = this.snowTree.getTotalSnowCount();
         const active = this.snowTree.getActiveSnowCount();
@@ -73,9 +92,20 @@ export class GameManager {
         return this.snowTree.getClearedZoneCount() >= total;
     }
 
-    onWin() {
-        console.log('All snow cleared! You win!');
-        // Could trigger win animation, sound, etc.
+    // Fires once per game - update() stops checking after a win until reset()
+    onWin(now) {
+        this.won = true;
+
+        const results = {
+            time: now - this.startTime,
+            clustersCleared: this.snowTree.getClearedZoneCount(),
+            totalClusters: this.snowTree.getTotalZoneCount()
+        };
+        console.log(`All snow cleared in ${(results.time / 1000).toFixed(1)}s! You win!`);
+
+        if (this.onGameWon) {
+            this.onGameWon(results);
+        }
     }
 
     // Get hint for current resonating zones
@@ -0,0 +1,213 @@
+import { buildMusicSet, getBassPinch } from './theory.js';
+
+// Standard Gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const AXIS_LEFT_Y = 1;
+const AXIS_RIGHT_X = 2;
+const AXIS_RIGHT_Y = 3;
+const BUTTON_A = 0;
+const BUTTON_B = 1;
+const BUTTON_X = 2;
+const BUTTON_Y = 3;
+const BUTTON_LT = 6;
+const BUTTON_RT = 7;
+const BUTTON_DPAD_UP = 12;
+const BUTTON_DPAD_DOWN = 13;
+
+// Face buttons → bass note column (I, IV, V); Y plays the root an octave up
+const BASS_BUTTONS = [
+    { button: BUTTON_A, index: 0, octaveShift: 0 },
+    { button: BUTTON_X, index: 1, octaveShift: 0 },
+    { button: BUTTON_B, index: 2, octaveShift: 0 },
+    { button: BUTTON_Y, index: 0, octaveShift: 1 }
+];
+
+// Gamepad API input - feeds the same params object as HandTracker
+// Sticks move the "hands" and stay put when released, so nothing has to be held up
+export class GamepadInput {
+    constructor(options = {}) {
+        this.onUpdate = null;
+        this.running = false;
+
+        // Inject a getGamepads function (e.g. a mock) to skip navigator.getGamepads
+        this.getGamepads = options.getGamepads || null;
+
+        // Bass grid the face buttons play (same set as AudioManager)
+        this.music = options.music || buildMusicSet();
+
+        // absolute: true maps stick position straight to the value (snaps back on release)
+        this.absolute = options.absolute || false;
+
+        // Tutorial text for this input (keyed by tutorial check)
+        this.tutorialMessages = {
+            leftHandVisible: 'move the left stick',
+            leftHandMoved: 'push the left stick up and down\nto try different chords',
+            leftPinched: 'press A, B, X or Y\nto play a note',
+            rightHandVisible: 'move the right stick',
+            rightHandMoved: 'push the right stick up and down\nto change the volume',
+            rightPinchMoved: 'squeeze the triggers\nto change the sound'
+        };
+
+        // Current "hand" values (null until first touched, like an unseen hand)
+        this.leftHandY = null;
+        this.rightHandY = null;
+        this.filter = null;  // 0-1
+        this.hatDensity = null;  // 0-1, right stick X (drums)
+
+        // Bass octave row (D-pad up/down), 1 = second octave from the bottom
+        this.bassOctave = 1;
+        this.pendingBass = null;
+
+        // Same ranges HandTracker produces
+        this.PINCH_MIN = 0.03;
+        this.PINCH_MAX = 0.33;
+
+        this.DEADZONE = 0.15;
+        this.STICK_SPEED = 0.8;    // Per second at full tilt
+        this.TRIGGER_SPEED = 0.6;  // Per second at full squeeze
+
+        this.previousButtons = [];
+        this.lastTickTime = null;
+    }
+
+    async init() {
+        if (!this.getGamepads) {
+            if (!navigator.getGamepads) {
+                throw new Error('The Gamepad API is not supported in this browser');
+            }
+            this.getGamepads = () => navigator.getGamepads();
+        }
+
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log(`Gamepad connected: ${e.gamepad.id}`);
+        });
+
+        this.running = true;
+        requestAnimationFrame(() => this.tick());
+        console.log('Gamepad input initialized');
+    }
+
+    // First connected gamepad, if any
+    getGamepad() {
+        const pads = this.getGamepads() || [];
+        for (const pad of pads) {
+            if (pad && pad.connected !== false) return pad;
+        }
+        return null;
+    }
+
+    tick() {
+        if (!this.running) return;
+        requestAnimationFrame(() => this.tick());
+
+        this.poll(performance.now());
+
+        if (this.onUpdate) {
+            this.onUpdate(this.buildParams());
+        }
+    }
+
+    // Read the gamepad once; timestamp in ms
+    poll(timestamp) {
+        const dt = this.lastTickTime === null ? 0 : Math.min((timestamp - this.lastTickTime) / 1000, 0.1);
+        this.lastTickTime = timestamp;
+
+        const pad = this.getGamepad();
+        if (!pad) return;
+
+        // Sticks: Y axis is -1 up / 1 down, same direction as hand Y on screen
+        this.leftHandY = this.applyStick(this.leftHandY, pad.axes[AXIS_LEFT_Y], dt);
+        this.rightHandY = this.applyStick(this.rightHandY, pad.axes[AXIS_RIGHT_Y], dt);
+
+        // Right stick X: pushed right adds hats
+        this.hatDensity = this.applyStick(this.hatDensity, pad.axes[AXIS_RIGHT_X], dt);
+
+        // Triggers: right opens the filter, left closes it
+        const open = this.buttonValue(pad, BUTTON_RT);
+        const close = this.buttonValue(pad, BUTTON_LT);
+        if (open > 0.05 || close > 0.05) {
+            if (this.filter === null) this.filter = 0.5;
+            this.filter = this.clamp(this.filter + (open - close) * this.TRIGGER_SPEED * dt, 0, 1);
+        }
+
+        // D-pad picks the bass octave
+        if (this.wasPressed(pad, BUTTON_DPAD_UP)) {
+            this.bassOctave = Math.min(this.bassOctave + 1, this.music.bassNotesByOctave.length - 1);
+        }
+        if (this.wasPressed(pad, BUTTON_DPAD_DOWN)) {
+            this.bassOctave = Math.max(this.bassOctave - 1, 0);
+        }
+
+        // Face buttons play bass notes
+        for (const { button, index, octaveShift } of BASS_BUTTONS) {
+            if (this.wasPressed(pad, button)) {
+                const octave = Math.min(this.bassOctave + octaveShift, this.music.bassNotesByOctave.length - 1);
+                this.pendingBass = { octave, index };
+            }
+        }
+
+        this.previousButtons = pad.buttons.map(b => this.isPressed(b));
+    }
+
+    applyStick(value, axis = 0, dt) {
+        const tilt = Math.abs(axis) < this.DEADZONE ? 0 : axis;
+
+        if (this.absolute) {
+            if (tilt === 0 && value === null) return null;
+            return this.clamp(0.5 + tilt / 2, 0, 1);
+        }
+
+        if (tilt === 0) return value;
+        const start = value === null ? 0.5 : value;
+        return this.clamp(start + tilt * this.STICK_SPEED * dt, 0, 1);
+    }
+
+    isPressed(button) {
+        return typeof button === 'object' ? button.pressed : button > 0.5;
+    }
+
+    buttonValue(pad, index) {
+        const button = pad.buttons[index];
+        if (!button) return 0;
+        return typeof button === 'object' ? button.value : button;
+    }
+
+    wasPressed(pad, index) {
+        const button = pad.buttons[index];
+        return Boolean(button) && this.isPressed(button) && !this.previousButtons[index];
+    }
+
+    buildParams() {
+        const params = {};
+
+        if (this.leftHandY !== null) {
+            params.leftHandY = this.leftHandY;
+        }
+
+        if (this.pendingBass) {
+            const pinch = getBassPinch(this.music, this.pendingBass.octave, this.pendingBass.index);
+
+            params.leftPinchX = pinch.x;
+            params.leftPinchY = pinch.y;
+            params.leftPinchTriggered = true;
+            this.pendingBass = null;
+        }
+
+        // Either control wakes the "right hand" up
+        if (this.rightHandY !== null || this.filter !== null) {
+            const filter = this.filter !== null ? this.filter : 0.5;
+
+            params.rightHandY = this.rightHandY !== null ? this.rightHandY : 0.5;
+            params.rightPinchDist = this.PINCH_MIN + filter * (this.PINCH_MAX - this.PINCH_MIN);
+        }
+
+        if (this.hatDensity !== null) {
+            params.hatDensity = this.hatDensity;
+        }
+
+        return params;
+    }
+
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+}
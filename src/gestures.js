@@ -0,0 +1,95 @@
+// Hand shape gestures from the 21 MediaPipe landmarks
+
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+// Thumb: tip, joint below it, base
+const THUMB = { tip: 4, joint: 3, base: 2 };
+
+// Other fingers: tip, middle joint (PIP)
+const FINGERS = [
+    { tip: 8, joint: 6 },    // Index
+    { tip: 12, joint: 10 },  // Middle
+    { tip: 16, joint: 14 },  // Ring
+    { tip: 20, joint: 18 }   // Pinky
+];
+
+// Tip must be this much further out than the joint to count as extended
+const EXTENDED_RATIO = 1.1;
+
+// Thumb and index tips closer than this (fraction of wrist → middle knuckle) count as pinching
+const PINCH_RATIO = 0.4;
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// A finger is extended when its tip is further from the wrist than its middle joint
+// (distance-based, so it works whatever way the hand is rotated)
+function isFingerExtended(landmarks, finger) {
+    const wrist = landmarks[WRIST];
+    return distance(landmarks[finger.tip], wrist) > distance(landmarks[finger.joint], wrist) * EXTENDED_RATIO;
+}
+
+// The thumb folds across the palm, so measure against the pinky knuckle instead
+function isThumbExtended(landmarks) {
+    const pinkyBase = landmarks[PINKY_MCP];
+    return distance(landmarks[THUMB.tip], pinkyBase) > distance(landmarks[THUMB.joint], pinkyBase) * EXTENDED_RATIO;
+}
+
+// Thumb tip on index tip - scaled by palm length so it doesn't depend on distance from the camera
+function isPinching(landmarks) {
+    const palmLength = distance(landmarks[WRIST], landmarks[MIDDLE_MCP]);
+    return distance(landmarks[THUMB.tip], landmarks[FINGERS[0].tip]) < palmLength * PINCH_RATIO;
+}
+
+// Returns { fingerCount, fist, openPalm, pinching, roll, x } for one hand
+// - fingerCount: extended fingers including the thumb (0-5); while pinching only middle, ring
+//   and pinky count, so a bass pinch doesn't flick the inversion
+// - fist: all four fingers curled (thumb ignored - people tuck it either way)
+// - openPalm: all five extended
+// - roll: radians the hand is tilted from upright, clockwise on screen is positive
+// - x: palm position across the screen (0 left - 1 right, mirrored like the overlay)
+export function recognizeGesture(landmarks) {
+    const extended = FINGERS.map(finger => isFingerExtended(landmarks, finger));
+    const extendedFingers = extended.filter(Boolean).length;
+    const thumbExtended = isThumbExtended(landmarks);
+    const pinching = isPinching(landmarks);
+
+    const fingerCount = pinching
+        ? extended.slice(1).filter(Boolean).length
+        : extendedFingers + (thumbExtended ? 1 : 0);
+
+    const wrist = landmarks[WRIST];
+    const middleBase = landmarks[MIDDLE_MCP];
+
+    // Wrist → middle knuckle is the hand's "up" (screen X mirrored, screen Y points down)
+    const upX = -(middleBase.x - wrist.x);
+    const upY = -(middleBase.y - wrist.y);
+    const roll = Math.atan2(upX, upY);
+
+    const palmX = 1 - (wrist.x + middleBase.x) / 2;
+
+    return {
+        fingerCount,
+        fist: extendedFingers === 0,
+        openPalm: fingerCount === 5,
+        pinching,
+        roll,
+        x: Math.max(0, Math.min(1, palmX))
+    };
+}
+
+// Adds the gesture fields for one hand to params, e.g. leftFist, leftFingerCount, leftRoll, leftHandX
+export function addGestureParams(prefix, landmarks, params) {
+    const gesture = recognizeGesture(landmarks);
+
+    params[`${prefix}Fist`] = gesture.fist;
+    params[`${prefix}OpenPalm`] = gesture.openPalm;
+    params[`${prefix}FingerCount`] = gesture.fingerCount;
+    params[`${prefix}Roll`] = gesture.roll;
+    params[`${prefix}HandX`] = gesture.x;
+
+    return gesture;
+}
@@ -0,0 +1,114 @@
+// Decides which tracked hand is the player's left and which is their right
+
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+
+// A hand within this distance (0-1 camera space) of where a hand was last frame is the same hand
+const TRACK_RADIUS = 0.15;
+
+// Only overrule MediaPipe's labels when the other assignment is clearly closer
+const SWITCH_RATIO = 0.5;
+
+function palmCenter(landmarks) {
+    const wrist = landmarks[WRIST];
+    const middleBase = landmarks[MIDDLE_MCP];
+    return { x: (wrist.x + middleBase.x) / 2, y: (wrist.y + middleBase.y) / 2 };
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export class HandednessResolver {
+    constructor(options = {}) {
+        // Left-handed mode: chords on the right hand, volume/filter on the left
+        this.swapHands = options.swapHands || false;
+
+        // Palm centres from the last frame, to keep identity stable
+        this.previous = { left: null, right: null };
+    }
+
+    // Returns { left, right } landmarks (either may be null)
+    // "left" is always the chord hand - the player's left hand unless swapHands is on
+    resolve(multiHandLandmarks = [], multiHandedness = []) {
+        const hands = multiHandLandmarks.slice(0, 2).map((landmarks, i) => ({
+            landmarks,
+            // Labels are for a mirrored image: MediaPipe's "Right" is the player's left
+            role: multiHandedness[i] && multiHandedness[i].label === 'Right' ? 'left' : 'right',
+            center: palmCenter(landmarks)
+        }));
+
+        let left = null;
+        let right = null;
+
+        if (hands.length === 1) {
+            const hand = hands[0];
+            const role = this.nearestRole(hand.center) || hand.role;
+            if (role === 'left') left = hand; else right = hand;
+        } else if (hands.length === 2) {
+            [left, right] = this.assignPair(hands[0], hands[1]);
+        }
+
+        this.previous.left = left ? left.center : null;
+        this.previous.right = right ? right.center : null;
+
+        const result = {
+            left: left ? left.landmarks : null,
+            right: right ? right.landmarks : null
+        };
+
+        if (this.swapHands) {
+            return { left: result.right, right: result.left };
+        }
+        return result;
+    }
+
+    // Role of the hand tracked last frame closest to center, if one is close enough
+    nearestRole(center) {
+        let best = null;
+        let bestDist = TRACK_RADIUS;
+
+        for (const role of ['left', 'right']) {
+            const prev = this.previous[role];
+            if (prev && distance(center, prev) < bestDist) {
+                best = role;
+                bestDist = distance(center, prev);
+            }
+        }
+        return best;
+    }
+
+    // Returns [leftHand, rightHand]
+    assignPair(a, b) {
+        const labelsAgree = a.role !== b.role;
+        const byLabel = a.role === 'left' ? [a, b] : [b, a];
+        const swapped = [byLabel[1], byLabel[0]];
+
+        // Both hands seen last frame - stick with whichever assignment moves them least
+        if (this.previous.left && this.previous.right) {
+            const labelCost = this.assignmentCost(byLabel);
+            const swappedCost = this.assignmentCost(swapped);
+
+            if (!labelsAgree) {
+                return swappedCost < labelCost * SWITCH_RATIO ? swapped : byLabel;
+            }
+            return swappedCost < labelCost ? swapped : byLabel;
+        }
+
+        if (labelsAgree) {
+            return byLabel;
+        }
+
+        // Same label on both (crossed arms, bad light) - fall back to screen position.
+        // Camera X is mirrored, so the player's left hand has the larger X
+        return a.center.x > b.center.x ? [a, b] : [b, a];
+    }
+
+    assignmentCost([left, right]) {
+        return distance(left.center, this.previous.left) + distance(right.center, this.previous.right);
+    }
+
+    reset() {
+        this.previous = { left: null, right: null };
+    }
+}
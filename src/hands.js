@@ -1,29 +1,90 @@
+import { LandmarkSmoother } from './filters.js';
+import { addGestureParams } from './gestures.js';
+import { HandednessResolver } from './handedness.js';
+
+// Where MediaPipe's scripts and model files live. Self-hosted by default (see vite.config.js);
+// set VITE_MEDIAPIPE_BASE_URL (or pass assetBase) to use another host.
+// import.meta.env only exists under Vite - optional so tests can import this module in Node.
+const DEFAULT_MEDIAPIPE_BASE = import.meta.env?.VITE_MEDIAPIPE_BASE_URL || `${import.meta.env?.BASE_URL || '/'}mediapipe/`;
+
+// Thrown when a MediaPipe script or model file can't be fetched
+export class MediaPipeLoadError extends Error {
+    constructor(message, url, cause) {
+        super(message, { cause });
+        this.name = 'MediaPipeLoadError';
+        this.url = url;
+    }
+}
+
 export class HandTracker {
-    constructor() {
+    constructor(options = {}) {
+        // Base URL holding hands/ and camera_utils/ (trailing slash added if missing)
+        this.assetBase = (options.assetBase || DEFAULT_MEDIAPIPE_BASE).replace(/\/?$/, '/');
+
         this.hands = null;
         this.camera = null;
         this.videoElement = null;
         this.onUpdate = null;
 
+        // Optional LandmarkRecorder - captures raw results when recording
+        this.recorder = null;
+
         // Hand overlay canvas (full-screen)
         this.overlayCanvas = null;
         this.overlayCtx = null;
 
-        // Pinch state
-        this.leftPinchActive = false;
-        this.rightPinchActive = false;
+        // Pinch thresholds
         this.LEFT_PINCH_THRESHOLD = 0.06;
         this.LEFT_PINCH_RELEASE = 0.10;
+
+        // Landmark smoothing (One Euro filter) - pass smoothing: false to use raw landmarks
+        this.smoothing = options.smoothing === false ? null : {
+            minCutoff: 1.0,
+            beta: 1.5,
+            dCutoff: 1.0,
+            ...options.smoothing
+        };
+
+        // A hand missing for less than this long (ms) keeps its last pose
+        this.HAND_LOST_GRACE = options.handLostGrace !== undefined ? options.handLostGrace : 150;
+
+        // Left/right assignment (swapHands: true for left-handed players)
+        this.swapHands = options.swapHands || false;
+
+        // Two-player mode tracks up to four hands, split into players by screen half
+        this.playerCount = options.players || 1;
+        this.players = [];
+        for (let i = 0; i < this.playerCount; i++) {
+            this.players.push(this.createPlayer());
+        }
+
+        // Skeleton colour per player
+        this.PLAYER_COLORS = ['white', '#9fe8ff'];
+    }
+
+    // Per-player tracking state
+    createPlayer() {
+        return {
+            handedness: new HandednessResolver({ swapHands: this.swapHands }),
+            leftTrack: this.createHandTrack(),
+            rightTrack: this.createHandTrack(),
+            leftPinchActive: false
+        };
+    }
+
+    createHandTrack() {
+        return {
+            smoother: new LandmarkSmoother(this.smoothing || {}),
+            landmarks: null,
+            lastSeen: 0
+        };
     }
 
     async init() {
         this.videoElement = document.getElementById('webcam');
 
         // Hand overlay canvas (full-screen)
-        this.overlayCanvas = document.getElementById('hand-overlay');
-        this.overlayCtx = this.overlayCanvas.getContext('2d');
-        this.resizeOverlay();
-        window.addEventListener('resize', () => this.resizeOverlay());
+        this.initOverlay();
 
         // Load MediaPipe Hands
         await this.loadMediaPipe();
@@ -31,12 +92,12 @@ export class HandTracker {
         // Initialize hands
         this.hands = new window.Hands({
             locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+                return `${this.assetBase}hands/${file}`;
             }
         });
 
         this.hands.setOptions({
-            maxNumHands: 2,
+            maxNumHands: 2 * this.playerCount,
             modelComplexity: 1,
             minDetectionConfidence: 0.7,
             minTrackingConfidence: 0.5
@@ -44,6 +105,14 @@ export class HandTracker {
 
         this.hands.onResults((results) => this.onResults(results));
 
+        // Fetch the wasm + model files now so a missing file fails here, not mid-game
+        try {
+            await this.hands.initialize();
+        } catch (error) {
+            const url = `${this.assetBase}hands/`;
+            throw new MediaPipeLoadError(`Could not load hand tracking model from ${url}`, url, error);
+        }
+
         // Initialize camera
         this.camera = new window.Camera(this.videoElement, {
             onFrame: async () => {
@@ -57,6 +126,14 @@ export class HandTracker {
         console.log('Hand tracking initialized');
     }
 
+    // Also used on its own when results come from a LandmarkPlayer instead of the camera
+    initOverlay() {
+        this.overlayCanvas = document.getElementById('hand-overlay');
+        this.overlayCtx = this.overlayCanvas.getContext('2d');
+        this.resizeOverlay();
+        window.addEventListener('resize', () => this.resizeOverlay());
+    }
+
     resizeOverlay() {
         this.overlayCanvas.width = window.innerWidth;
         this.overlayCanvas.height = window.innerHeight;
@@ -64,8 +141,8 @@ export class HandTracker {
 
     async loadMediaPipe() {
         // Load MediaPipe scripts dynamically
-        await this.loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js');
-        await this.loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js');
+        await this.loadScript(`${this.assetBase}hands/hands.js`);
+        await this.loadScript(`${this.assetBase}camera_utils/camera_utils.js`);
     }
 
     loadScript(src) {
@@ -73,64 +150,116 @@ export class HandTracker {
             const script = document.createElement('script');
             script.src = src;
             script.onload = resolve;
-            script.onerror = reject;
+            script.onerror = () => reject(new MediaPipeLoadError(`Could not load ${src}`, src));
             document.head.appendChild(script);
         });
     }
 
-    onResults(results) {
+    // timestamp (ms) travels with params so replays see the same timing
+    onResults(results, timestamp = performance.now()) {
+        if (this.recorder) {
+            this.recorder.capture(results, timestamp);
+        }
+
         // Clear the overlay
         this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
 
-        const params = {};
+        const groups = this.splitHandsByPlayer(results);
+        const playerParams = this.players.map((player, i) =>
+            this.processPlayer(player, groups[i], timestamp, this.PLAYER_COLORS[i])
+        );
+
+        // Player 1's params are the top-level params; two-player mode adds the full list
+        const params = playerParams[0];
+        if (this.playerCount > 1) {
+            params.players = playerParams;
+        }
 
-        if (results.multiHandLandmarks && results.multiHandedness) {
-            let leftHand = null;
-            let rightHand = null;
+        // Call update callback
+        if (this.onUpdate) {
+            this.onUpdate(params);
+        }
+    }
 
-            // Identify hands (mirrored video)
-            for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-                const landmarks = results.multiHandLandmarks[i];
-                const handedness = results.multiHandedness[i].label;
+    // One { multiHandLandmarks, multiHandedness } group per player.
+    // Two players: player 1 stands on the left half of the (mirrored) screen, player 2 on the right
+    splitHandsByPlayer(results) {
+        const groups = this.players.map(() => ({ multiHandLandmarks: [], multiHandedness: [] }));
+        const landmarksList = results.multiHandLandmarks || [];
+        const handednessList = results.multiHandedness || [];
 
-                if (handedness === 'Right') {
-                    leftHand = landmarks;
-                } else {
-                    rightHand = landmarks;
-                }
+        for (let i = 0; i < landmarksList.length; i++) {
+            const landmarks = landmarksList[i];
+            const screenX = 1 - (landmarks[0].x + landmarks[9].x) / 2;
+            const playerIndex = Math.min(Math.floor(screenX * this.playerCount), this.playerCount - 1);
 
-                // Draw hand skeleton in white
-                this.drawHand(landmarks);
-            }
+            groups[playerIndex].multiHandLandmarks.push(landmarks);
+            groups[playerIndex].multiHandedness.push(handednessList[i]);
+        }
 
-            // Draw pinch line on right hand (filter control)
-            if (rightHand) {
-                this.drawPinchLine(rightHand);
-            }
+        return groups;
+    }
 
-            // Draw pinch dot on left hand (bass trigger)
-            if (leftHand) {
-                this.drawPinchDot(leftHand, this.leftPinchActive);
-            }
+    processPlayer(player, group, timestamp, color) {
+        const params = { timestamp };
 
-            // Process left hand (chords + bass)
-            if (leftHand) {
-                this.processLeftHand(leftHand, params);
-            }
+        // Identify hands (labels first, screen position when they conflict)
+        const hands = player.handedness.resolve(group.multiHandLandmarks, group.multiHandedness);
 
-            // Process right hand (filter + volume)
-            if (rightHand) {
-                this.processRightHand(rightHand, params);
-            }
+        // Smooth, and bridge short dropouts with the last seen pose
+        const leftHand = this.trackHand(player.leftTrack, hands.left, timestamp);
+        const rightHand = this.trackHand(player.rightTrack, hands.right, timestamp);
+
+        // Draw hand skeletons
+        if (leftHand) {
+            this.drawHand(leftHand, color);
+        }
+        if (rightHand) {
+            this.drawHand(rightHand, color);
         }
 
-        // Call update callback
-        if (this.onUpdate) {
-            this.onUpdate(params);
+        // Draw pinch line on right hand (filter control)
+        if (rightHand) {
+            this.drawPinchLine(rightHand, color);
+        }
+
+        // Draw pinch dot on left hand (bass trigger)
+        if (leftHand) {
+            this.drawPinchDot(leftHand, player.leftPinchActive, color);
+        }
+
+        // Process left hand (chords + bass)
+        if (leftHand) {
+            this.processLeftHand(player, leftHand, params);
+        }
+
+        // Process right hand (filter + volume)
+        if (rightHand) {
+            this.processRightHand(rightHand, params);
+        }
+
+        return params;
+    }
+
+    trackHand(track, landmarks, timestamp) {
+        if (landmarks) {
+            track.landmarks = this.smoothing ? track.smoother.smooth(landmarks, timestamp) : landmarks;
+            track.lastSeen = timestamp;
+            return track.landmarks;
+        }
+
+        // Hand not seen this frame - hold the last pose through the grace period
+        if (track.landmarks && timestamp - track.lastSeen <= this.HAND_LOST_GRACE) {
+            return track.landmarks;
         }
+
+        // Really gone - start the filters fresh when it comes back
+        track.landmarks = null;
+        track.smoother.reset();
+        return null;
     }
 
-    drawHand(landmarks) {
+    drawHand(landmarks, color = 'white') {
         const width = this.overlayCanvas.width;
         const height = this.overlayCanvas.height;
 
@@ -144,8 +273,8 @@ export class HandTracker {
             [5, 9], [9, 13], [13, 17]             // Palm
         ];
 
-        // Draw connections (white lines)
-        this.overlayCtx.strokeStyle = 'white';
+        // Draw connections
+        this.overlayCtx.strokeStyle = color;
         this.overlayCtx.lineWidth = 2;
 
         for (const [start, end] of connections) {
@@ -164,8 +293,8 @@ export class HandTracker {
             this.overlayCtx.stroke();
         }
 
-        // Draw joints (white dots)
-        this.overlayCtx.fillStyle = 'white';
+        // Draw joints
+        this.overlayCtx.fillStyle = color;
 
         for (const landmark of landmarks) {
             const x = (1 - landmark.x) * width;
@@ -177,7 +306,7 @@ export class HandTracker {
         }
     }
 
-    drawPinchLine(landmarks) {
+    drawPinchLine(landmarks, color = 'white') {
         const width = this.overlayCanvas.width;
         const height = this.overlayCanvas.height;
 
@@ -190,16 +319,16 @@ export class HandTracker {
         const x2 = (1 - indexTip.x) * width;
         const y2 = indexTip.y * height;
 
-        // Draw thick white line between thumb and index
+        // Draw thick line between thumb and index
         this.overlayCtx.beginPath();
         this.overlayCtx.moveTo(x1, y1);
         this.overlayCtx.lineTo(x2, y2);
-        this.overlayCtx.strokeStyle = 'white';
+        this.overlayCtx.strokeStyle = color;
         this.overlayCtx.lineWidth = 4;
         this.overlayCtx.stroke();
 
         // Draw circles at the endpoints
-        this.overlayCtx.fillStyle = 'white';
+        this.overlayCtx.fillStyle = color;
         this.overlayCtx.beginPath();
         this.overlayCtx.arc(x1, y1, 8, 0, 2 * Math.PI);
         this.overlayCtx.fill();
@@ -208,7 +337,7 @@ export class HandTracker {
         this.overlayCtx.fill();
     }
 
-    drawPinchDot(landmarks, isActive) {
+    drawPinchDot(landmarks, isActive, color = 'white') {
         const width = this.overlayCanvas.width;
         const height = this.overlayCanvas.height;
 
@@ -224,17 +353,20 @@ export class HandTracker {
 
         this.overlayCtx.beginPath();
         this.overlayCtx.arc(pinchX, pinchY, size, 0, 2 * Math.PI);
-        this.overlayCtx.fillStyle = 'white';
+        this.overlayCtx.fillStyle = color;
         this.overlayCtx.fill();
     }
 
-    processLeftHand(landmarks, params) {
+    processLeftHand(player, landmarks, params) {
         const wrist = landmarks[0];
         const middleBase = landmarks[9];
         const palmY = this.clamp((wrist.y + middleBase.y) / 2, 0, 1);
 
         params.leftHandY = palmY;
 
+        // Fist / open palm / finger count / roll / X
+        addGestureParams('left', landmarks, params);
+
         // Bass pinch trigger
         const thumbTip = landmarks[4];
         const indexTip = landmarks[8];
@@ -247,11 +379,11 @@ export class HandTracker {
         params.leftPinchDist = pinchDist;
 
         // Trigger on pinch
-        if (!this.leftPinchActive && pinchDist < this.LEFT_PINCH_THRESHOLD) {
-            this.leftPinchActive = true;
+        if (!player.leftPinchActive && pinchDist < this.LEFT_PINCH_THRESHOLD) {
+            player.leftPinchActive = true;
             params.leftPinchTriggered = true;
-        } else if (this.leftPinchActive && pinchDist > this.LEFT_PINCH_RELEASE) {
-            this.leftPinchActive = false;
+        } else if (player.leftPinchActive && pinchDist > this.LEFT_PINCH_RELEASE) {
+            player.leftPinchActive = false;
         }
     }
 
@@ -262,6 +394,9 @@ export class HandTracker {
 
         params.rightHandY = palmY;
 
+        // Fist / open palm / finger count / roll / X
+        addGestureParams('right', landmarks, params);
+
         // Filter pinch
         const thumbTip = landmarks[4];
         const indexTip = landmarks[8];
@@ -274,3 +409,195 @@ export class HandTracker {
         return Math.max(min, Math.min(max, value));
     }
 }
+
+// Keyboard + mouse stand-in for HandTracker (no webcam needed)
+// Left hand:  mouse Y → chord, click / space → bass pinch at the pointer
+// Right hand: up/down arrows (or W/S) → volume, wheel or left/right arrows → filter
+export class KeyboardMouseInput {
+    constructor() {
+        this.onUpdate = null;
+        this.running = false;
+
+        // Tutorial text for this input (keyed by tutorial check)
+        this.tutorialMessages = {
+            leftHandVisible: 'move the mouse\nover the tree',
+            leftHandMoved: 'move the mouse up and down\nto try different chords',
+            leftPinched: 'click or press space\nto play a note',
+            rightHandVisible: 'press the up or down arrow',
+            rightHandMoved: 'hold up and down\nto change the volume',
+            rightPinchMoved: 'scroll or use left and right\nto change the sound'
+        };
+
+        // Pointer position (0-1, screen space)
+        this.pointerX = 0.5;
+        this.pointerY = 0.5;
+        this.pointerActive = false;
+
+        // Right hand stand-ins (null until first used, like an unseen hand)
+        this.rightHandY = null;
+        this.rightPinchDist = null;
+        this.hatDensity = null;  // 0-1 (drums), Q/Z
+        this.PINCH_MIN = 0.03;
+        this.PINCH_MAX = 0.33;
+
+        // Rates per second while a key is held
+        this.HAND_SPEED = 0.6;
+        this.PINCH_SPEED = 0.3;
+        this.DENSITY_SPEED = 0.6;
+        this.WHEEL_SCALE = 0.0003;
+
+        // Pinch state
+        this.keysDown = new Set();
+        this.pinchHeld = false;
+        this.pinchQueued = false;
+        this.lastTickTime = 0;
+    }
+
+    async init() {
+        window.addEventListener('mousemove', (e) => {
+            this.pointerX = e.clientX / window.innerWidth;
+            this.pointerY = e.clientY / window.innerHeight;
+            this.pointerActive = true;
+        });
+
+        document.addEventListener('mouseleave', () => {
+            this.pointerActive = false;
+        });
+
+        window.addEventListener('mousedown', () => this.pressPinch());
+        window.addEventListener('mouseup', () => this.releasePinch());
+
+        window.addEventListener('wheel', (e) => {
+            this.ensureRightHand();
+            this.rightPinchDist = this.clamp(
+                this.rightPinchDist - e.deltaY * this.WHEEL_SCALE,
+                this.PINCH_MIN,
+                this.PINCH_MAX
+            );
+        }, { passive: true });
+
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'Space') {
+                e.preventDefault();
+                if (!e.repeat) this.pressPinch();
+                return;
+            }
+            this.keysDown.add(e.code);
+        });
+
+        window.addEventListener('keyup', (e) => {
+            if (e.code === 'Space') {
+                this.releasePinch();
+                return;
+            }
+            this.keysDown.delete(e.code);
+        });
+
+        // Keys released while the window is in the background never send keyup (e.g. alt-tab)
+        window.addEventListener('blur', () => {
+            this.keysDown.clear();
+            this.releasePinch();
+        });
+
+        this.running = true;
+        this.lastTickTime = performance.now();
+        requestAnimationFrame(() => this.tick());
+        console.log('Keyboard/mouse input initialized');
+    }
+
+    pressPinch() {
+        if (this.pinchHeld) return;
+        this.pinchHeld = true;
+        this.pinchQueued = true;
+    }
+
+    releasePinch() {
+        this.pinchHeld = false;
+    }
+
+    ensureRightHand() {
+        if (this.rightHandY === null) this.rightHandY = 0.5;
+        if (this.rightPinchDist === null) this.rightPinchDist = (this.PINCH_MIN + this.PINCH_MAX) / 2;
+    }
+
+    isDown(...codes) {
+        return codes.some(code => this.keysDown.has(code));
+    }
+
+    tick() {
+        if (!this.running) return;
+        requestAnimationFrame(() => this.tick());
+
+        const now = performance.now();
+        const dt = Math.min((now - this.lastTickTime) / 1000, 0.1);
+        this.lastTickTime = now;
+
+        // Right hand height (up arrow = hand higher = smaller Y)
+        const up = this.isDown('ArrowUp', 'KeyW');
+        const down = this.isDown('ArrowDown', 'KeyS');
+        if (up || down) {
+            this.ensureRightHand();
+            const dir = (down ? 1 : 0) - (up ? 1 : 0);
+            this.rightHandY = this.clamp(this.rightHandY + dir * this.HAND_SPEED * dt, 0, 1);
+        }
+
+        // Right hand pinch spread
+        const open = this.isDown('ArrowRight', 'KeyD');
+        const close = this.isDown('ArrowLeft', 'KeyA');
+        if (open || close) {
+            this.ensureRightHand();
+            const dir = (open ? 1 : 0) - (close ? 1 : 0);
+            this.rightPinchDist = this.clamp(
+                this.rightPinchDist + dir * this.PINCH_SPEED * dt,
+                this.PINCH_MIN,
+                this.PINCH_MAX
+            );
+        }
+
+        // Hat density (Q more, Z fewer)
+        const more = this.isDown('KeyQ');
+        const fewer = this.isDown('KeyZ');
+        if (more || fewer) {
+            if (this.hatDensity === null) this.hatDensity = 0;
+            const dir = (more ? 1 : 0) - (fewer ? 1 : 0);
+            this.hatDensity = this.clamp(this.hatDensity + dir * this.DENSITY_SPEED * dt, 0, 1);
+        }
+
+        if (this.onUpdate) {
+            this.onUpdate(this.buildParams());
+        }
+    }
+
+    buildParams() {
+        const params = {};
+
+        if (this.pointerActive) {
+            params.leftHandY = this.clamp(this.pointerY, 0, 1);
+
+            // Pinch position in camera space (X mirrored, like the webcam)
+            params.leftPinchX = 1 - this.clamp(this.pointerX, 0, 1);
+            params.leftPinchY = params.leftHandY;
+            params.leftPinchDist = this.pinchHeld ? 0 : this.PINCH_MAX;
+
+            if (this.pinchQueued) {
+                params.leftPinchTriggered = true;
+            }
+        }
+        this.pinchQueued = false;
+
+        if (this.rightHandY !== null) {
+            params.rightHandY = this.rightHandY;
+            params.rightPinchDist = this.rightPinchDist;
+        }
+
+        if (this.hatDensity !== null) {
+            params.hatDensity = this.hatDensity;
+        }
+
+        return params;
+    }
+
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+}
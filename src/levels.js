@@ -0,0 +1,154 @@
+// Level definitions and the campaign that steps through them.
+// A level (everything optional - missing fields come from DEFAULT_LEVEL):
+// {
+//   name: 'First Frost',
+//   tree: { seed: 12345, branch: { children: { 0: 7 } } },  // ez-tree options, merged over its defaults
+//   clusterRadius: 2.5,          // Snow within this distance shares a cluster
+//   requirements: ['chord', 'volume', 'filter', 'bassNote'],  // What clusters ask for (+ 'rhythm' with drums)
+//   clearTime: 5000,             // ms of sustained resonance to clear a cluster
+//   threshold: 0.6,              // Resonance strength (0-1) that counts as resonating
+//   music: { key: 'Eb', mode: 'major', progression: 'pop' },  // See theory.js
+//   drums: null                  // Drum pattern name (see drums.js) or null for none
+// }
+
+const PROGRESS_STORAGE_KEY = 'synthsnow.campaignLevel';
+
+export const REQUIREMENTS = ['chord', 'volume', 'filter', 'bassNote', 'rhythm'];
+
+export const DEFAULT_LEVEL = {
+    name: 'Snowfall',
+    tree: { seed: 12345 },
+    clusterRadius: 2.5,
+    requirements: ['chord', 'volume', 'filter', 'bassNote'],
+    clearTime: 5000,
+    threshold: 0.6,
+    music: { key: 'Eb', mode: 'major', progression: 'pop' },
+    drums: null
+};
+
+// Easy → hard: bigger clusters (fewer of them) and fewer requirements first
+export const CAMPAIGN = [
+    {
+        name: 'First Frost',
+        tree: { seed: 12345 },
+        clusterRadius: 4,
+        requirements: ['chord', 'volume'],
+        clearTime: 4000
+    },
+    {
+        name: 'Evergreen',
+        tree: { seed: 2024, branch: { children: { 0: 6, 1: 6 } } },
+        clusterRadius: 3,
+        requirements: ['chord', 'volume', 'filter'],
+        music: { key: 'D', mode: 'major', progression: 'fifties' }
+    },
+    {
+        name: 'Deep Winter',
+        tree: { seed: 777 },
+        requirements: ['chord', 'volume', 'filter', 'bassNote'],
+        music: { key: 'A', mode: 'minor', progression: 'andalusian' },
+        drums: 'halfTime'
+    },
+    {
+        name: 'Ice Storm',
+        tree: { seed: 31337, branch: { levels: 3, children: { 0: 8, 1: 7, 2: 5 } } },
+        clusterRadius: 2,
+        requirements: ['chord', 'volume', 'filter', 'bassNote', 'rhythm'],
+        threshold: 0.7,
+        music: { key: 'F', mode: 'dorian', progression: 'royal' },
+        drums: 'breakbeat'
+    },
+    {
+        name: 'Midwinter',
+        tree: { seed: 1221 },
+        clusterRadius: 2,
+        requirements: ['chord', 'volume', 'filter', 'bassNote', 'rhythm'],
+        clearTime: 6000,
+        threshold: 0.75,
+        music: { key: 'Bb', mode: 'major', progression: 'jazz' },
+        drums: 'fourFloor'
+    }
+];
+
+// Level definition → complete level (tree options and music merged over the defaults)
+export function resolveLevel(level = {}) {
+    const resolved = { ...DEFAULT_LEVEL, ...level };
+    resolved.tree = { ...DEFAULT_LEVEL.tree, ...level.tree };
+    resolved.music = { ...DEFAULT_LEVEL.music, ...level.music };
+
+    const unknown = resolved.requirements.filter(name => !REQUIREMENTS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown cluster requirement: ${unknown.join(', ')}`);
+    }
+    return resolved;
+}
+
+// Walks through a list of levels; remembers the furthest one reached (the default start next time)
+export class Campaign {
+    constructor(levels = CAMPAIGN, startIndex = 0) {
+        if (!Array.isArray(levels) || levels.length === 0) {
+            throw new Error('Campaign has no levels');
+        }
+        // Bad levels fail here, not halfway through the campaign
+        levels.forEach(level => resolveLevel(level));
+
+        this.levels = levels;
+        this.startIndex = Math.min(Math.max(startIndex, 0), levels.length - 1);
+        this.index = this.startIndex;
+    }
+
+    get level() {
+        return resolveLevel(this.levels[this.index]);
+    }
+
+    // 1-based, for display
+    get number() {
+        return this.index + 1;
+    }
+
+    get hasNext() {
+        return this.index < this.levels.length - 1;
+    }
+
+    // Moves on and returns the next level, or null at the end of the campaign.
+    // Doesn't save progress - call saveProgress() once the level has actually loaded
+    next() {
+        if (!this.hasNext) return null;
+        this.index++;
+        return this.level;
+    }
+
+    // Back to the level the campaign started on (play again)
+    restart() {
+        this.index = this.startIndex;
+        return this.level;
+    }
+
+    saveProgress() {
+        try {
+            const furthest = Campaign.loadProgress();
+            window.localStorage.setItem(PROGRESS_STORAGE_KEY, String(Math.max(furthest, this.index)));
+        } catch (error) {
+            console.warn('Could not save campaign progress:', error);
+        }
+    }
+
+    // Furthest level index reached (0 if none)
+    static loadProgress() {
+        try {
+            return parseInt(window.localStorage.getItem(PROGRESS_STORAGE_KEY), 10) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Campaign JSON: { levels: [...] } or just the array
+    static async load(url, startIndex = 0) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load campaign ${url} (${response.status})`);
+        }
+        const data = await response.json();
+        return new Campaign(Array.isArray(data) ? data : data.levels, startIndex);
+    }
+}
@@ -1,42 +1,45 @@
 import { SceneManager } from './scene.js';
 import { SnowTree } from './tree.js';
 import { AudioManager } from './audio.js';
-import { HandTracker } from './hands.js';
+import { HandTracker, KeyboardMouseInput, MediaPipeLoadError } from './hands.js';
 import { GameManager } from './game.js';
+import { MidiInput } from './midi.js';
+import { GamepadInput } from './gamepad.js';
+import { LandmarkRecorder, LandmarkPlayer } from './recording.js';
+import { CalibrationProfile } from './calibration.js';
+import { buildMusicSet } from './theory.js';
+import { SpectrumAnalyser } from './spectrum.js';
+import { PATCHES } from './patches.js';
+import { AudioRecorder, ParamsTimeline, renderTimeline, downloadWav } from './audioRecorder.js';
+import { ClusterChimes } from './chimes.js';
+import { SoundEffects } from './sfx.js';
+import { resolveTuning } from './tuning.js';
+import { ModMatrix, loadRouteSet, saveRouteSet } from './modulation.js';
+import { Campaign, CAMPAIGN, resolveLevel } from './levels.js';
+import { parseSeed, randomSeed } from './random.js';
+import { Celebration } from './celebration.js';
+import { Tutorial } from './tutorial.js';
+
+const urlParams = new URLSearchParams(window.location.search);
 
 let sceneManager;
 let snowTree;
 let audioManager;
-let handTracker;
+let audioRecorder;
+let clusterChimes;
+let soundEffects;
+let paramsTimeline;
+let input;
 let gameManager;
+let music;
+let campaign;   // Set when playing through levels (?campaign / ?level=N)
+let level;
+let celebration;
+let gameOver = false;   // Win sequence / results screen showing - hands don't play
+let runTotals = { time: 0, clustersCleared: 0, totalClusters: 0 };   // Summed over campaign levels
 
-// Tutorial state
-const tutorial = {
-    active: false,
-    step: 0,
-    transitioning: false,
-    steps: [
-        { message: 'put up your left hand', check: 'leftHandVisible' },
-        { message: 'move your hand up and down\nto try different chords', check: 'leftHandMoved' },
-        { message: 'put your thumb and\npointer finger together\nto play a note', check: 'leftPinched' },
-        { message: 'put up your right hand', check: 'rightHandVisible' },
-        { message: 'move it higher and lower\nto change the volume', check: 'rightHandMoved' },
-        { message: 'move your thumb and\npointer fingers together\nand apart to change the sound', check: 'rightPinchMoved' },
-        { message: 'try different combinations\nto make snow fall\noff the tree', check: 'complete' }
-    ],
-    // Tracking values for detecting gestures
-    leftHandY: null,
-    leftHandMinY: Infinity,
-    leftHandMaxY: -Infinity,
-    rightHandY: null,
-    rightHandMinY: Infinity,
-    rightHandMaxY: -Infinity,
-    rightPinchDist: null,
-    rightPinchMinDist: Infinity,
-    rightPinchMaxDist: -Infinity,
-    leftPinched: false,
-    gameUnlocked: false
-};
+// Steps before the game (see tutorial.js)
+const tutorial = new Tutorial();
 
 async function init() {
     const startScreen = document.getElementById('start-screen');
@@ -47,8 +50,20 @@ async function init() {
     await sceneManager.init();
 
     // Create tree with snow
-    snowTree = new SnowTree(sceneManager);
+    // ?campaign plays through the levels in levels.js; otherwise a single tree
+    campaign = await createCampaign();
+    level = campaign ? campaign.level : getSingleLevel();
+    music = getLevelMusic(level);
+
+    // ?match=combined lets two players share a cluster's requirements
+    snowTree = new SnowTree(sceneManager, {
+        level,
+        music,
+        seed: getSeed(),
+        resonanceMode: urlParams.get('match') === 'combined' ? 'combined' : 'either'
+    });
     await snowTree.generate();
+    showSeed(snowTree.seed);
 
     // Start rendering the scene (tree visible behind title)
     animateBackground();
@@ -60,20 +75,90 @@ async function init() {
 
         try {
             // Initialize audio
-            audioManager = new AudioManager();
+            audioManager = new AudioManager({ ...getAudioOptions(), seed: snowTree.seed });
             await audioManager.init();
 
-            // Initialize hand tracking
-            handTracker = new HandTracker();
-            await handTracker.init();
+            // Positional chime for each resonating cluster (?chimes=off to mute)
+            if (urlParams.get('chimes') !== 'off') {
+                clusterChimes = new ClusterChimes({ music });
+                clusterChimes.build(audioManager.effectsBus);
+            }
+
+            // Cascade when a cluster clears, thumps when its snow lands (?sfx=off to mute)
+            if (urlParams.get('sfx') !== 'off') {
+                soundEffects = new SoundEffects({ music });
+                soundEffects.build(audioManager.effectsBus);
+                snowTree.onClusterCleared = (cluster) => soundEffects.clusterCleared(cluster);
+                snowTree.onSnowLanded = (positions) => soundEffects.snowLanded(positions);
+            }
+
+            // ?resonance=spectrum - clusters listen to the actual output instead of reading params
+            if (urlParams.get('resonance') === 'spectrum') {
+                snowTree.spectrumAnalyser = new SpectrumAnalyser(audioManager.limiter);
+            }
+
+            // Initialize input (hand tracking unless another driver was picked)
+            input = createInput();
+            await input.init();
+
+            // Hand ranges: use the player's stored profile, or measure one in the tutorial
+            // Two players: each has their own profile; anyone without one sends everyone through the step
+            if (usesHandCalibration()) {
+                for (let i = 0; i < getPlayerCount(); i++) {
+                    const profile = CalibrationProfile.load(getPlayerName(i));
+                    if (profile && !urlParams.has('calibrate')) {
+                        audioManager.setCalibration(profile, i);
+                    } else {
+                        tutorial.needsCalibration = true;
+                    }
+                }
+            }
+
+            // R records the live landmark stream (saved as JSON on stop)
+            if (input instanceof HandTracker) {
+                setupSessionRecording(input);
+            }
+
+            // P cycles through the synth patches
+            setupPatchSwitching();
+
+            // Dropping a route set .json on the page plays it and keeps it for ?mod=stored
+            setupRouteSetDrop();
+
+            // E starts/stops a WAV recording of the output (?recordAudio starts it with the game)
+            setupAudioRecording();
+
+            // ?render=<params timeline>.json renders a saved performance offline and downloads the WAV
+            if (urlParams.has('render')) {
+                renderSavedTimeline(urlParams.get('render')).catch((error) => {
+                    console.error('Offline render failed:', error);
+                });
+            }
+
+            // M saves everything played so far as a MIDI file
+            window.addEventListener('keydown', (e) => {
+                if (e.code === 'KeyM' && !e.repeat) {
+                    audioManager.downloadMidi();
+                }
+            });
 
             // Initialize game logic (but snow falling is locked)
             gameManager = new GameManager(snowTree, audioManager);
             gameManager.tutorialMode = true;  // Lock snow falling
+            gameManager.onGameWon = (results) => onLevelComplete(results);
+
+            // Camera swing + particle burst when the game is won; results screen buttons
+            celebration = new Celebration(sceneManager);
+            setupResultsScreen();
 
-            // Connect hand tracking to audio and game
-            handTracker.onUpdate = (params) => {
-                audioManager.updateFromHands(params);
+            // Connect input to audio and game
+            input.onUpdate = (params) => {
+                // Before AudioManager adds its own fields - only the input is kept
+                paramsTimeline.capture(params);
+
+                if (!gameOver) {
+                    audioManager.updateFromHands(params);
+                }
 
                 // Only run game logic if tutorial is complete
                 if (tutorial.gameUnlocked) {
@@ -82,165 +167,540 @@ async function init() {
 
                 // Process tutorial
                 if (tutorial.active) {
-                    updateTutorial(params);
+                    tutorial.update(params);
                 }
             };
 
             // Hide start screen
             startScreen.classList.add('hidden');
 
-            // Start tutorial
-            startTutorial();
-
             // Start full animation loop
             animate();
 
+            // MIDI-learn pass (?input=midi&learn=1) before the tutorial
+            if (input instanceof MidiInput && urlParams.has('learn')) {
+                await runMidiLearn();
+            }
+
+            // Start tutorial
+            startTutorial();
+
         } catch (error) {
             console.error('Error initializing:', error);
+
+            if (error instanceof MediaPipeLoadError) {
+                showLoadError(error);
+                return;
+            }
+
             startPrompt.textContent = 'error - tap to retry';
             startPrompt.style.animation = 'pulse 2s ease-in-out infinite';
         }
     }, { once: true });
 }
 
-function startTutorial() {
-    const tutorialDiv = document.getElementById('tutorial');
-    tutorialDiv.classList.remove('hidden');
+// Pick the input driver from the URL (?input=keyboard|midi|gamepad|replay), defaulting to the webcam
+function createInput() {
+    switch (urlParams.get('input')) {
+        case 'replay':
+            return new LandmarkPlayer({
+                url: urlParams.get('recording'),
+                loop: urlParams.has('loop'),
+                handTracker: new HandTracker(getHandTrackerOptions())
+            });
+        case 'keyboard':
+        case 'mouse':
+            return new KeyboardMouseInput();
+        case 'midi':
+            return new MidiInput({ music });
+        case 'gamepad':
+            return new GamepadInput({ music });
+        default:
+            return new HandTracker(getHandTrackerOptions());
+    }
+}
 
-    // Set initial volume to 50% (-15 dB) so they can hear chords before right hand
-    audioManager.setVolume(-15);
+// Two-player mode (?players=2): four tracked hands, split by screen half, one voice each
+function getPlayerCount() {
+    return urlParams.get('players') === '2' ? 2 : 1;
+}
 
-    tutorial.active = true;
-    tutorial.step = 0;
-    showTutorialMessage(tutorial.steps[0].message);
+// Left-handed mode (?hands=swap): chords on the right hand, volume/filter on the left
+function isSwapHands() {
+    return urlParams.get('hands') === 'swap';
 }
 
-function showTutorialMessage(message) {
-    const messageDiv = document.getElementById('tutorial-message');
+function getHandTrackerOptions() {
+    return {
+        // ?mediapipe=<url> points at another copy of the MediaPipe files
+        assetBase: urlParams.get('mediapipe') || undefined,
+        // ?smoothing=off uses raw landmarks
+        smoothing: urlParams.get('smoothing') === 'off' ? false : undefined,
+        swapHands: isSwapHands(),
+        players: getPlayerCount()
+    };
+}
 
-    // Convert \n to <br> for line breaks
-    messageDiv.innerHTML = message.replace(/\n/g, '<br>');
+// Calibration is about camera hand ranges - other inputs already span 0-1
+function usesHandCalibration() {
+    return input instanceof HandTracker || input instanceof LandmarkPlayer;
+}
 
-    // Fade in
-    messageDiv.classList.remove('fade-out');
+// Calibration profile name (?player=name, and ?player2=name in two-player mode)
+function getPlayerName(playerIndex = 0) {
+    if (playerIndex === 0) {
+        return urlParams.get('player') || 'default';
+    }
+    return urlParams.get(`player${playerIndex + 1}`) || `player${playerIndex + 1}`;
+}
+
+// ?seed=48213 (or any text) reproduces a cluster layout; without one a new seed is picked
+function getSeed() {
+    const seed = parseSeed(urlParams.get('seed'));
+    if (seed !== null) return seed;
+
+    const newSeed = randomSeed();
+    setSeedParam(newSeed);
+    return newSeed;
+}
+
+// Put the seed in the address bar so the layout can be shared as a link
+function setSeedParam(seed) {
+    urlParams.set('seed', seed);
+    window.history.replaceState(null, '', `?${urlParams}${window.location.hash}`);
+}
+
+function showSeed(seed) {
+    const seedLabel = document.getElementById('seed-label');
+    seedLabel.textContent = `seed ${seed}`;
+    seedLabel.title = window.location.href;
+}
+
+// ?campaign (built-in levels) or ?campaign=levels.json; ?level=3 starts at level 3,
+// otherwise it picks up at the furthest level reached last time
+async function createCampaign() {
+    if (!urlParams.has('campaign') && !urlParams.has('level')) return null;
+
+    const startIndex = getStartLevelIndex();
+    const url = urlParams.get('campaign');
+
+    try {
+        return url ? await Campaign.load(url, startIndex) : new Campaign(CAMPAIGN, startIndex);
+    } catch (error) {
+        console.error('Could not load campaign, playing the built-in one:', error);
+        return new Campaign(CAMPAIGN, startIndex);
+    }
+}
+
+function getStartLevelIndex() {
+    if (urlParams.has('level')) {
+        const number = parseInt(urlParams.get('level'), 10);
+        if (number > 0) return number - 1;
+        console.warn(`Invalid level "${urlParams.get('level')}" - starting from the furthest level reached`);
+    }
+    return Campaign.loadProgress();
+}
+
+// Single tree: the default level, with drums adding a rhythm requirement
+function getSingleLevel() {
+    const requirements = ['chord', 'volume', 'filter', 'bassNote'];
+    if (urlParams.has('drums')) {
+        // Clusters also ask for a hat density (sparse / steady / busy)
+        requirements.push('rhythm');
+    }
+    return resolveLevel({ requirements });
+}
+
+// Level's key / mode / progression; ?key=D&mode=minor&progression=andalusian override it
+function getLevelMusic(levelDef) {
+    return buildMusicSet({
+        ...levelDef.music,
+        key: urlParams.get('key') || levelDef.music.key,
+        mode: urlParams.get('mode') || levelDef.music.mode,
+        progression: urlParams.get('progression') || levelDef.music.progression
+    });
+}
+
+function onLevelComplete(results) {
+    runTotals.time += results.time;
+    runTotals.clustersCleared += results.clustersCleared;
+    runTotals.totalClusters += results.totalClusters;
+
+    if (campaign && campaign.hasNext) {
+        // Let the last snow fall, then grow the next tree
+        setTimeout(() => {
+            advanceLevel().catch((error) => {
+                // End the run here rather than leaving a cleared tree with nothing to do
+                console.error('Could not load next level:', error);
+                showLevelBanner(`could not load level ${campaign.number}\n${error.message}`);
+                finishGame('level failed to load');
+            });
+        }, 3000);
+        return;
+    }
+
+    console.log(campaign ? 'Campaign complete!' : 'Tree cleared!');
+    finishGame();
+}
+
+// Win sequence: final chord, camera swing and particle burst, then the results screen
+function finishGame(title) {
+    gameOver = true;
+
+    audioManager.playFinale();
+    celebration.play(snowTree.getCenter());
+    document.getElementById('progress-container').classList.remove('visible');
+
+    // Export what was played
+    if (audioRecorder.recording) {
+        toggleAudioRecording();
+    }
+
+    setTimeout(() => showResults(title), 4000);
+}
+
+function showResults(title = campaign ? 'campaign complete' : 'tree cleared') {
+    document.getElementById('results-title').textContent = title;
+    document.getElementById('results-time').textContent = `time ${formatTime(runTotals.time)}`;
+    document.getElementById('results-clusters').textContent =
+        `clusters cleared ${runTotals.clustersCleared} / ${runTotals.totalClusters}`;
+    document.getElementById('results-seed').textContent = `seed ${snowTree.seed}`;
+
+    document.getElementById('results-screen').classList.remove('hidden');
+}
+
+// ms → 'm:ss'
+function formatTime(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function setupResultsScreen() {
+    // Play again: same seed, same layout (try to beat the time); new tree: fresh seed
+    const restart = (newTree) => {
+        playAgain(newTree).catch((error) => {
+            console.error('Could not restart:', error);
+        });
+    };
+
+    document.getElementById('results-replay').addEventListener('click', () => restart(false));
+    document.getElementById('results-new').addEventListener('click', () => restart(true));
+
+    // Enter plays again without reaching for the mouse - unless a results button has focus,
+    // which turns Enter into its own click
+    window.addEventListener('keydown', (e) => {
+        const resultsScreen = document.getElementById('results-screen');
+        if (e.code !== 'Enter' || e.repeat || resultsScreen.classList.contains('hidden')) return;
+        if (resultsScreen.contains(document.activeElement) && document.activeElement.tagName === 'BUTTON') return;
+
+        restart(false);
+    });
+}
+
+// New snow and clusters on the existing tree, scene, audio and input - no reload, no camera prompt
+async function playAgain(newTree) {
+    document.getElementById('results-screen').classList.add('hidden');
+    celebration.reset();
+
+    const seed = newTree ? randomSeed() : snowTree.seed;
+    if (newTree) {
+        setSeedParam(seed);
+    }
+
+    runTotals = { time: 0, clustersCleared: 0, totalClusters: 0 };
+
+    // MIDI / params exports cover this game only
+    audioManager.performanceLog.clear();
+    paramsTimeline.clear(seed);
+
+    await startLevel(campaign ? campaign.restart() : level, seed);
+    showSeed(seed);
+
+    document.getElementById('progress-container').classList.add('visible');
+    gameOver = false;
+
+    if (urlParams.has('recordAudio') && !audioRecorder.recording) {
+        toggleAudioRecording();
+    }
 }
 
-function advanceTutorial() {
-    // Prevent advancing while transitioning
-    if (tutorial.transitioning) return;
-    tutorial.transitioning = true;
+async function advanceLevel() {
+    await startLevel(campaign.next(), snowTree.seed);
 
+    // Only a level that loaded counts as reached (a failed one shouldn't be the start next time)
+    campaign.saveProgress();
+    console.log(`Level ${campaign.number}: ${level.name}`);
+
+    showLevelBanner(`level ${campaign.number}\n${level.name.toLowerCase()}`);
+}
+
+// Grow the tree for a level on the existing scene and move audio / input to its key
+async function startLevel(levelDef, seed) {
+    level = levelDef;
+    music = getLevelMusic(level);
+
+    await snowTree.regenerate(level, music, seed);
+    gameManager.reset();
+    audioManager.setSeed(seed);
+
+    // Everything that plays or maps chords moves to the new key
+    audioManager.setMusic(music);
+    audioManager.setDrumPattern(level.drums || urlParams.get('drums') || null);
+    if (clusterChimes) clusterChimes.music = music;
+    if (soundEffects) soundEffects.music = music;
+    if ('music' in input) input.music = music;
+}
+
+function showLevelBanner(message) {
+    const tutorialDiv = document.getElementById('tutorial');
     const messageDiv = document.getElementById('tutorial-message');
 
-    // Fade out current message
-    messageDiv.classList.add('fade-out');
+    tutorialDiv.classList.remove('hidden');
+    showTutorialMessage(message);
 
-    // Wait for fade out, then show next message
     setTimeout(() => {
-        tutorial.step++;
-        tutorial.transitioning = false;
-
-        if (tutorial.step < tutorial.steps.length) {
-            showTutorialMessage(tutorial.steps[tutorial.step].message);
-
-            // If this is the final step, unlock the game
-            if (tutorial.steps[tutorial.step].check === 'complete') {
-                tutorial.gameUnlocked = true;
-                gameManager.tutorialMode = false;
-
-                // Show progress bar
-                const progressContainer = document.getElementById('progress-container');
-                progressContainer.classList.add('visible');
-
-                // Hide tutorial message after a delay
-                setTimeout(() => {
-                    messageDiv.classList.add('fade-out');
-                    setTimeout(() => {
-                        const tutorialDiv = document.getElementById('tutorial');
-                        tutorialDiv.classList.add('hidden');
-                        tutorial.active = false;
-                    }, 1000);
-                }, 5000);
-            }
+        messageDiv.classList.add('fade-out');
+        setTimeout(() => tutorialDiv.classList.add('hidden'), 1000);
+    }, 3000);
+}
+
+// AudioManager options from the level and the URL - shared by the game and ?render=
+function getAudioOptions() {
+    return {
+        music,
+        players: getPlayerCount(),
+        patch: getPatchId(),
+        // ?mod=wobble|expressive|drift (src/routes/) or ?mod=stored (saved in localStorage)
+        modRoutes: urlParams.has('mod') ? loadRouteSet(urlParams.get('mod')) : undefined,
+        tuning: getTuning(),
+        // ?voicing=smooth picks the closest voicing for each chord, ?hold=common keeps shared notes ringing
+        voiceLeading: urlParams.get('voicing') === 'smooth',
+        holdCommonTones: urlParams.get('hold') === 'common',
+        // ?drums=basic|fourFloor|halfTime|breakbeat|pulse (levels can pick their own)
+        drums: level.drums || urlParams.get('drums') || undefined,
+        // ?quantize=beat|8th|bar, ?arp=up|down|random|ordered (&arpRate=16th)
+        quantize: urlParams.get('quantize') || undefined,
+        arpeggio: urlParams.get('arp') || undefined,
+        arpRate: urlParams.get('arpRate') || undefined,
+        // ?gestures=on: fist releases, finger count inverts, right hand roll sets reverb
+        gestures: urlParams.get('gestures') === 'on' ? {
+            release: 'leftFist',
+            inversion: 'leftFingerCount',
+            reverb: 'rightRoll'
+        } : undefined
+    };
+}
+
+// ?patch=glass (any file name in src/patches/)
+function getPatchId() {
+    const id = urlParams.get('patch');
+    if (!id) return undefined;
+
+    if (!PATCHES[id]) {
+        console.warn(`Unknown patch "${id}" - available: ${Object.keys(PATCHES).join(', ')}`);
+        return undefined;
+    }
+    return id;
+}
+
+// ?tuning=just, or ?scala=9/8,5/4,4/3,3/2,5/3,15/8,2/1 (ratios or cents, period last)
+// Anything that doesn't make a tuning warns and plays 12-TET
+function getTuning() {
+    if (urlParams.has('scala')) {
+        return resolveTuning({ system: 'scala', ratios: urlParams.get('scala').split(',') });
+    }
+    return resolveTuning(urlParams.get('tuning') || undefined);
+}
+
+function setupPatchSwitching() {
+    const ids = Object.keys(PATCHES);
+    let index = Math.max(0, ids.indexOf(getPatchId() || 'classic'));
+
+    window.addEventListener('keydown', (e) => {
+        if (e.code !== 'KeyP' || e.repeat) return;
+
+        index = (index + 1) % ids.length;
+        audioManager.setPatch(ids[index]);
+    });
+}
+
+// Sound designers edit route sets as JSON files - drop one in to hear it without a reload
+function setupRouteSetDrop() {
+    window.addEventListener('dragover', (e) => e.preventDefault());
+
+    window.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        const file = e.dataTransfer.files[0];
+        if (!file || !file.name.endsWith('.json')) return;
+
+        try {
+            const routeSet = JSON.parse(await file.text());
+            // Throws on a bad route, so a broken file doesn't replace the stored set
+            new ModMatrix(routeSet);
+
+            audioManager.setModRoutes(routeSet);
+            saveRouteSet(routeSet);
+            console.log(`Modulation routes: ${file.name} (saved for ?mod=stored)`);
+        } catch (error) {
+            console.warn(`Could not use modulation routes ${file.name}:`, error.message);
         }
-    }, 1000); // Wait for fade out animation
+    });
 }
 
-function updateTutorial(params) {
-    // Don't process during transitions
-    if (tutorial.transitioning) return;
+function setupAudioRecording() {
+    audioRecorder = new AudioRecorder(audioManager.output);
+    paramsTimeline = new ParamsTimeline();
 
-    const currentStep = tutorial.steps[tutorial.step];
-    if (!currentStep) return;
+    window.addEventListener('keydown', (e) => {
+        if (e.code !== 'KeyE' || e.repeat) return;
 
-    switch (currentStep.check) {
-        case 'leftHandVisible':
-            // Check if left hand is detected
-            if (params.leftHandY !== undefined) {
-                tutorial.leftHandY = params.leftHandY;
-                advanceTutorial();
-            }
-            break;
-
-        case 'leftHandMoved':
-            // Track left hand movement range
-            if (params.leftHandY !== undefined) {
-                tutorial.leftHandMinY = Math.min(tutorial.leftHandMinY, params.leftHandY);
-                tutorial.leftHandMaxY = Math.max(tutorial.leftHandMaxY, params.leftHandY);
-
-                // Need to move at least 30% of the range
-                const leftRange = tutorial.leftHandMaxY - tutorial.leftHandMinY;
-                if (leftRange > 0.3) {
-                    advanceTutorial();
-                }
-            }
-            break;
+        // Shift+E saves the params timeline of the last recording (re-render it with ?render=)
+        if (e.shiftKey) {
+            paramsTimeline.download();
+        } else {
+            toggleAudioRecording();
+        }
+    });
+}
 
-        case 'leftPinched':
-            // Check for left hand pinch (bass trigger)
-            if (params.leftPinchTriggered) {
-                advanceTutorial();
-            }
-            break;
+function toggleAudioRecording() {
+    if (!AudioRecorder.supported) {
+        console.warn('Audio recording is not supported in this browser');
+        return;
+    }
 
-        case 'rightHandVisible':
-            // Check if right hand is detected
-            if (params.rightHandY !== undefined) {
-                tutorial.rightHandY = params.rightHandY;
-                advanceTutorial();
-            }
-            break;
-
-        case 'rightHandMoved':
-            // Track right hand movement range
-            if (params.rightHandY !== undefined) {
-                tutorial.rightHandMinY = Math.min(tutorial.rightHandMinY, params.rightHandY);
-                tutorial.rightHandMaxY = Math.max(tutorial.rightHandMaxY, params.rightHandY);
-
-                // Need to move at least 30% of the range
-                const rightRange = tutorial.rightHandMaxY - tutorial.rightHandMinY;
-                if (rightRange > 0.3) {
-                    advanceTutorial();
-                }
-            }
-            break;
-
-        case 'rightPinchMoved':
-            // Track right hand pinch distance range
-            if (params.rightPinchDist !== undefined) {
-                tutorial.rightPinchMinDist = Math.min(tutorial.rightPinchMinDist, params.rightPinchDist);
-                tutorial.rightPinchMaxDist = Math.max(tutorial.rightPinchMaxDist, params.rightPinchDist);
-
-                // Need to vary pinch distance significantly
-                const pinchRange = tutorial.rightPinchMaxDist - tutorial.rightPinchMinDist;
-                if (pinchRange > 0.15) {
-                    advanceTutorial();
-                }
-            }
-            break;
+    if (audioRecorder.recording) {
+        paramsTimeline.stop();
+        audioRecorder.stopAndDownload().catch((error) => {
+            console.error('Audio export failed:', error);
+        });
+    } else {
+        paramsTimeline.start(snowTree.seed);
+        audioRecorder.start();
     }
 }
 
+async function renderSavedTimeline(url) {
+    const timeline = await ParamsTimeline.load(url);
+    console.log(`Rendering ${timeline.duration.toFixed(1)}s params timeline (seed ${timeline.seed})`);
+
+    const buffer = await renderTimeline(timeline, { audio: getAudioOptions() });
+    downloadWav(buffer.get());
+}
+
+// Hand tracking files missing (e.g. offline with a CDN base URL) - say what failed
+function showLoadError(error) {
+    document.getElementById('start-screen').classList.add('hidden');
+
+    const errorScreen = document.getElementById('error-screen');
+    document.getElementById('error-detail').textContent = error.url || error.message;
+    errorScreen.classList.remove('hidden');
+
+    // Keyboard link keeps everything else in the URL
+    const keyboardParams = new URLSearchParams(urlParams);
+    keyboardParams.set('input', 'keyboard');
+    document.getElementById('error-keyboard').href = `?${keyboardParams}`;
+
+    document.getElementById('error-retry').addEventListener('click', () => {
+        window.location.reload();
+    });
+}
+
+function setupSessionRecording(handTracker) {
+    const recorder = new LandmarkRecorder();
+    handTracker.recorder = recorder;
+
+    window.addEventListener('keydown', (e) => {
+        if (e.code !== 'KeyR' || e.repeat) return;
+
+        if (recorder.recording) {
+            recorder.stop();
+            recorder.download();
+        } else {
+            recorder.start();
+        }
+    });
+}
+
+// Walk through every MIDI binding; Escape skips one (keeps its current key)
+async function runMidiLearn() {
+    const tutorialDiv = document.getElementById('tutorial');
+    tutorialDiv.classList.remove('hidden');
+
+    const skip = (e) => {
+        if (e.key === 'Escape') input.cancelLearn();
+    };
+    window.addEventListener('keydown', skip);
+
+    for (const { target, prompt } of input.getLearnTargets()) {
+        showTutorialMessage(prompt);
+        await input.learn(target);
+    }
+
+    window.removeEventListener('keydown', skip);
+    console.log('MIDI mapping saved:', input.mapping);
+}
+
+function startTutorial() {
+    const tutorialDiv = document.getElementById('tutorial');
+    const messageDiv = document.getElementById('tutorial-message');
+    tutorialDiv.classList.remove('hidden');
+
+    // Set initial volume to 50% (-15 dB) so they can hear chords before right hand
+    audioManager.setVolume(-15);
+
+    tutorial.onMessage = (step) => showTutorialMessage(getTutorialMessage(step));
+    tutorial.onFadeOut = () => messageDiv.classList.add('fade-out');
+    tutorial.onHide = () => tutorialDiv.classList.add('hidden');
+
+    // Save each player's measured hand ranges as their profile
+    tutorial.onCalibrated = (playerRanges) => {
+        playerRanges.forEach((ranges, i) => {
+            const profile = CalibrationProfile.fromTutorial(getPlayerName(i), ranges);
+            profile.save();
+            audioManager.setCalibration(profile, i);
+            console.log(`Calibration saved (${profile.name}):`, profile.ranges);
+        });
+    };
+
+    tutorial.onUnlock = () => {
+        gameManager.tutorialMode = false;
+
+        if (urlParams.has('recordAudio') && !audioRecorder.recording) {
+            toggleAudioRecording();
+        }
+
+        // Show progress bar
+        document.getElementById('progress-container').classList.add('visible');
+    };
+
+    tutorial.start();
+}
+
+// Drivers can reword steps for their controls (e.g. "move the mouse")
+function getTutorialMessage(step) {
+    const messages = input && input.tutorialMessages;
+    if (messages && messages[step.check]) {
+        return messages[step.check];
+    }
+
+    // Hand steps name the other hand in left-handed mode
+    if (isSwapHands()) {
+        return step.message.replace(/\b(left|right)\b/g, side => side === 'left' ? 'right' : 'left');
+    }
+    return step.message;
+}
+
+function showTutorialMessage(message) {
+    const messageDiv = document.getElementById('tutorial-message');
+
+    // Convert \n to <br> for line breaks
+    messageDiv.innerHTML = message.replace(/\n/g, '<br>');
+
+    // Fade in
+    messageDiv.classList.remove('fade-out');
+}
+
 // Background animation (just scene, no game logic)
 function animateBackground() {
     const startScreen = document.getElementById('start-screen');
@@ -262,14 +722,27 @@ function animateBackground() {
 function animate() {
     requestAnimationFrame(animate);
 
+    // Before the scene renders, so the camera move shows this frame
+    if (celebration) {
+        celebration.update();
+    }
+
     if (sceneManager) {
         sceneManager.update();
     }
 
+    if (soundEffects) {
+        soundEffects.beginFrame();
+    }
+
     if (snowTree && gameManager) {
         const resonanceProgress = gameManager.getAllResonanceProgress();
         snowTree.update(resonanceProgress);
 
+        if (clusterChimes) {
+            clusterChimes.update(snowTree.resonanceClusters, resonanceProgress, sceneManager.camera);
+        }
+
         // Update progress bar
         if (tutorial.gameUnlocked) {
             const progress = gameManager.getProgress();
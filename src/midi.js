@@ -0,0 +1,279 @@
+import { buildMusicSet, getBassPinch, getChordHandY } from './theory.js';
+
+const MAPPING_STORAGE_KEY = 'synthsnow.midiMapping';
+
+// MIDI status bytes (channel stripped)
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+// What a CC can be bound to
+const CONTROL_TARGETS = ['volume', 'filter', 'hatDensity'];
+
+// Default mapping:
+// - White keys C4-C5 select the 8 chords (low to high)
+// - C2-B2 trigger bass notes: 3 keys per octave, lowest octave first
+// - CC 7 (volume) → volume, CC 74 (brightness) and CC 1 (mod wheel) → filter, CC 11 (expression) → hat density
+function createDefaultMapping(music) {
+    const notes = {};
+
+    const chordKeys = [60, 62, 64, 65, 67, 69, 71, 72];
+    chordKeys.slice(0, music.chordNames.length).forEach((note, index) => {
+        notes[note] = { action: 'chord', index };
+    });
+
+    let bassKey = 36;
+    for (let octave = 0; octave < music.bassNotesByOctave.length; octave++) {
+        for (let index = 0; index < music.bassNotesByOctave[octave].length; index++) {
+            notes[bassKey++] = { action: 'bass', octave, index };
+        }
+    }
+
+    return {
+        notes,
+        cc: {
+            7: 'volume',
+            74: 'filter',
+            1: 'filter',
+            11: 'hatDensity'
+        }
+    };
+}
+
+// Web MIDI input - feeds the same params object as HandTracker
+export class MidiInput {
+    constructor(options = {}) {
+        this.onUpdate = null;
+        this.running = false;
+
+        // Pass a MIDIAccess (or a mock with the same shape) to skip requestMIDIAccess
+        this.midiAccess = options.midiAccess || null;
+
+        // Chord + bass tables the keys map onto (same set as AudioManager)
+        this.music = options.music || buildMusicSet();
+        this.mapping = options.mapping || this.loadMapping();
+
+        // Tutorial text for this input (keyed by tutorial check)
+        this.tutorialMessages = {
+            leftHandVisible: 'play a chord key',
+            leftHandMoved: 'play different chord keys\nto try different chords',
+            leftPinched: 'play a bass key',
+            rightHandVisible: 'move the volume control',
+            rightHandMoved: 'sweep the volume\nup and down',
+            rightPinchMoved: 'sweep the filter knob\nto change the sound'
+        };
+
+        // Current controller state
+        this.chordIndex = null;
+        this.volume = null;   // 0-1
+        this.filter = null;   // 0-1
+        this.hatDensity = null;   // 0-1 (drums)
+        this.pendingBass = null;
+
+        // Same ranges HandTracker produces
+        this.PINCH_MIN = 0.03;
+        this.PINCH_MAX = 0.33;
+
+        // MIDI-learn: { target, resolve } while waiting for a message
+        this.learning = null;
+    }
+
+    async init() {
+        if (!this.midiAccess) {
+            if (!navigator.requestMIDIAccess) {
+                throw new Error('Web MIDI is not supported in this browser');
+            }
+            this.midiAccess = await navigator.requestMIDIAccess();
+        }
+
+        // Listen on every input, including ones plugged in later
+        for (const midiInput of this.midiAccess.inputs.values()) {
+            this.attachInput(midiInput);
+        }
+        this.midiAccess.onstatechange = (e) => {
+            if (e.port && e.port.type === 'input' && e.port.state === 'connected') {
+                this.attachInput(e.port);
+            }
+        };
+
+        this.running = true;
+        requestAnimationFrame(() => this.tick());
+        console.log(`MIDI input initialized (${this.midiAccess.inputs.size} inputs)`);
+    }
+
+    attachInput(midiInput) {
+        midiInput.onmidimessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(data) {
+        const status = data[0] & 0xf0;
+        const number = data[1];
+        const value = data[2];
+
+        // Note offs are ignored - chords keep ringing like a held hand
+        if (status === NOTE_ON && value > 0) {
+            if (this.learning && this.learnNote(number)) return;
+
+            const binding = this.mapping.notes[number];
+            if (!binding) return;
+
+            if (binding.action === 'chord') {
+                this.chordIndex = binding.index;
+            } else if (binding.action === 'bass') {
+                this.pendingBass = binding;
+            }
+        } else if (status === CONTROL_CHANGE) {
+            if (this.learning && this.learnControl(number)) return;
+
+            const target = this.mapping.cc[number];
+            if (target === 'volume') {
+                this.volume = value / 127;
+            } else if (target === 'filter') {
+                this.filter = value / 127;
+            } else if (target === 'hatDensity') {
+                this.hatDensity = value / 127;
+            }
+        }
+    }
+
+    // MIDI-learn: bind the next matching message to target
+    // target: { action: 'chord', index } | { action: 'bass', octave, index } | 'volume' | 'filter' | 'hatDensity'
+    learn(target) {
+        this.cancelLearn();
+        return new Promise((resolve) => {
+            this.learning = { target, resolve };
+        });
+    }
+
+    cancelLearn() {
+        if (this.learning) {
+            this.learning.resolve(null);
+            this.learning = null;
+        }
+    }
+
+    learnNote(note) {
+        const { target, resolve } = this.learning;
+        if (typeof target !== 'object') return false;
+
+        // A key can only do one thing
+        for (const key in this.mapping.notes) {
+            if (this.isSameBinding(this.mapping.notes[key], target)) {
+                delete this.mapping.notes[key];
+            }
+        }
+        this.mapping.notes[note] = { ...target };
+
+        this.finishLearn(resolve, note);
+        return true;
+    }
+
+    learnControl(cc) {
+        const { target, resolve } = this.learning;
+        if (!CONTROL_TARGETS.includes(target)) return false;
+
+        this.mapping.cc[cc] = target;
+
+        this.finishLearn(resolve, cc);
+        return true;
+    }
+
+    finishLearn(resolve, number) {
+        this.learning = null;
+        this.saveMapping();
+        resolve(number);
+    }
+
+    isSameBinding(a, b) {
+        return a.action === b.action && a.index === b.index && a.octave === b.octave;
+    }
+
+    // Every bindable target, in the order a full learn pass walks through them
+    getLearnTargets() {
+        const targets = [];
+
+        const { chordNames, bassNotesByOctave } = this.music;
+
+        for (let index = 0; index < chordNames.length; index++) {
+            targets.push({ target: { action: 'chord', index }, prompt: `play the key for\nchord ${index + 1}` });
+        }
+        for (let octave = 0; octave < bassNotesByOctave.length; octave++) {
+            for (let index = 0; index < bassNotesByOctave[octave].length; index++) {
+                targets.push({
+                    target: { action: 'bass', octave, index },
+                    prompt: `play the key for\nbass ${bassNotesByOctave[octave][index]}`
+                });
+            }
+        }
+        targets.push({ target: 'volume', prompt: 'move the control\nfor volume' });
+        targets.push({ target: 'filter', prompt: 'move the control\nfor the filter' });
+        targets.push({ target: 'hatDensity', prompt: 'move the control\nfor the drums' });
+
+        return targets;
+    }
+
+    loadMapping() {
+        try {
+            const stored = window.localStorage.getItem(MAPPING_STORAGE_KEY);
+            if (stored) return JSON.parse(stored);
+        } catch (error) {
+            console.warn('Could not load MIDI mapping:', error);
+        }
+        return createDefaultMapping(this.music);
+    }
+
+    saveMapping() {
+        try {
+            window.localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(this.mapping));
+        } catch (error) {
+            console.warn('Could not save MIDI mapping:', error);
+        }
+    }
+
+    resetMapping() {
+        this.mapping = createDefaultMapping(this.music);
+        this.saveMapping();
+    }
+
+    tick() {
+        if (!this.running) return;
+        requestAnimationFrame(() => this.tick());
+
+        if (this.onUpdate) {
+            this.onUpdate(this.buildParams());
+        }
+    }
+
+    buildParams() {
+        const params = {};
+
+        // Chord index → the middle of its band of left hand height
+        if (this.chordIndex !== null) {
+            params.leftHandY = getChordHandY(this.music, this.chordIndex);
+        }
+
+        // Bass key → pinch position on the bass grid (X picks the note, Y the octave)
+        if (this.pendingBass) {
+            const pinch = getBassPinch(this.music, this.pendingBass.octave, this.pendingBass.index);
+
+            params.leftPinchX = pinch.x;
+            params.leftPinchY = pinch.y;
+            params.leftPinchTriggered = true;
+            this.pendingBass = null;
+        }
+
+        // Either control wakes the "right hand" up
+        if (this.volume !== null || this.filter !== null) {
+            const volume = this.volume !== null ? this.volume : 0.5;
+            const filter = this.filter !== null ? this.filter : 0.5;
+
+            params.rightHandY = 1 - volume;
+            params.rightPinchDist = this.PINCH_MIN + filter * (this.PINCH_MAX - this.PINCH_MIN);
+        }
+
+        if (this.hatDensity !== null) {
+            params.hatDensity = this.hatDensity;
+        }
+
+        return params;
+    }
+}
@@ -0,0 +1,189 @@
+import { noteToMidi } from './theory.js';
+
+// Keeps every chord change and bass hit (in transport ticks) and writes them as a Standard MIDI File.
+// Tracks: tempo, pad chords, bass. Each player gets its own channel pair (pad 0/2, bass 1/3)
+
+const CHORD_VELOCITY = 80;
+
+export class PerformanceLog {
+    constructor() {
+        this.chords = [];   // { player, notes, start, end } - end null while the chord sounds
+        this.bass = [];     // { player, note, start, end, velocity }
+    }
+
+    // A new chord replaces whatever that player was holding
+    logChord(notes, ticks, player = 0) {
+        this.logRelease(ticks, player);
+        this.chords.push({ player, notes: [...notes], start: ticks, end: null });
+    }
+
+    logRelease(ticks, player = 0) {
+        const held = this.chords.find(chord => chord.player === player && chord.end === null);
+        if (held) {
+            held.end = ticks;
+        }
+    }
+
+    // A single pad note with a known length (arpeggio steps)
+    logNote(note, ticks, durationTicks, player = 0) {
+        this.chords.push({ player, notes: [note], start: ticks, end: ticks + durationTicks });
+    }
+
+    logBass(note, ticks, durationTicks, velocity = 0.8, player = 0) {
+        this.bass.push({ player, note, start: ticks, end: ticks + durationTicks, velocity });
+    }
+
+    get isEmpty() {
+        return this.chords.length === 0 && this.bass.length === 0;
+    }
+
+    clear() {
+        this.chords = [];
+        this.bass = [];
+    }
+
+    // Standard MIDI File bytes. ppq = transport PPQ, bpm = transport tempo,
+    // endTicks closes chords still sounding (defaults to the last event).
+    // Loops rather than spreads - a long session can log far more events than fit in an argument list
+    toMidiFile({ ppq = 192, bpm = 120, endTicks } = {}) {
+        let firstTick = Infinity;
+        let lastTick = 0;
+        this.chords.forEach((chord) => {
+            firstTick = Math.min(firstTick, chord.start);
+            lastTick = Math.max(lastTick, chord.end !== null ? chord.end : chord.start);
+        });
+        this.bass.forEach((hit) => {
+            firstTick = Math.min(firstTick, hit.start);
+            lastTick = Math.max(lastTick, hit.end);
+        });
+        const end = endTicks !== undefined ? endTicks : lastTick;
+
+        // Start the file on the bar of the first event, so the beat grid still lines up in a DAW
+        const barTicks = ppq * 4;
+        const offset = isFinite(firstTick) ? Math.floor(firstTick / barTicks) * barTicks : 0;
+
+        const padNotes = [];
+        this.chords.forEach((chord) => {
+            const chordEnd = chord.end !== null ? chord.end : Math.max(end, chord.start);
+            chord.notes.forEach((note) => {
+                padNotes.push({
+                    channel: chord.player * 2,
+                    pitch: noteToMidi(note),
+                    start: chord.start - offset,
+                    end: chordEnd - offset,
+                    velocity: CHORD_VELOCITY
+                });
+            });
+        });
+
+        const bassNotes = this.bass.map(hit => ({
+            channel: hit.player * 2 + 1,
+            pitch: noteToMidi(hit.note),
+            start: hit.start - offset,
+            end: hit.end - offset,
+            velocity: Math.round(Math.min(Math.max(hit.velocity, 0), 1) * 127)
+        }));
+
+        const tempoTrack = [
+            metaEvent(0, 0x03, textBytes('SynthSnow')),
+            metaEvent(0, 0x51, numberBytes(Math.round(60000000 / bpm), 3)),  // µs per beat
+            metaEvent(0, 0x58, [4, 2, 24, 8])  // 4/4
+        ];
+
+        return buildFile(ppq, [
+            tempoTrack,
+            noteTrack('Pad', padNotes),
+            noteTrack('Bass', bassNotes)
+        ]);
+    }
+
+    download(options, filename = `synthsnow-${Date.now()}.mid`) {
+        const blob = new Blob([this.toMidiFile(options)], { type: 'audio/midi' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Track name + note on/off pairs, in tick order (note-offs before note-ons at the same tick).
+// A track is a list of small byte arrays (one per event), joined once in buildFile
+function noteTrack(name, notes) {
+    const events = [];
+    notes.forEach((note) => {
+        events.push({ tick: note.start, order: 1, bytes: [0x90 | note.channel, note.pitch, note.velocity] });
+        events.push({ tick: Math.max(note.end, note.start), order: 0, bytes: [0x80 | note.channel, note.pitch, 0] });
+    });
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const track = [metaEvent(0, 0x03, textBytes(name))];
+    let lastTick = 0;
+    events.forEach((event) => {
+        const tick = Math.max(0, Math.round(event.tick));
+        track.push(variableLength(Math.max(0, tick - lastTick)), event.bytes);
+        lastTick = Math.max(lastTick, tick);
+    });
+    return track;
+}
+
+// Header + tracks, written into one Uint8Array sized up front
+function buildFile(ppq, tracks) {
+    const endOfTrack = metaEvent(0, 0x2f, []);
+    const trackLengths = tracks.map(track =>
+        track.reduce((length, chunk) => length + chunk.length, 0) + endOfTrack.length
+    );
+    const size = 14 + trackLengths.reduce((total, length) => total + 8 + length, 0);
+
+    const bytes = new Uint8Array(size);
+    let position = 0;
+    const write = (chunk) => {
+        bytes.set(chunk, position);
+        position += chunk.length;
+    };
+
+    write(textBytes('MThd'));
+    write(numberBytes(6, 4));
+    write(numberBytes(1, 2));              // Format 1: simultaneous tracks
+    write(numberBytes(tracks.length, 2));
+    write(numberBytes(ppq, 2));
+
+    tracks.forEach((track, i) => {
+        write(textBytes('MTrk'));
+        write(numberBytes(trackLengths[i], 4));
+        track.forEach(write);
+        write(endOfTrack);
+    });
+
+    return bytes;
+}
+
+function metaEvent(delta, type, data) {
+    return [...variableLength(delta), 0xff, type, ...variableLength(data.length), ...data];
+}
+
+// MIDI variable-length quantity: 7 bits per byte, high bit set on all but the last
+function variableLength(value) {
+    const bytes = [value & 0x7f];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    return bytes;
+}
+
+function numberBytes(value, count) {
+    const bytes = [];
+    for (let i = count - 1; i >= 0; i--) {
+        bytes.push((value >> (i * 8)) & 0xff);
+    }
+    return bytes;
+}
+
+function textBytes(text) {
+    return Array.from(text, char => char.charCodeAt(0) & 0x7f);
+}
@@ -0,0 +1,197 @@
+// Modulation matrix: routes any params source (hand heights, pinches, gestures) or an LFO to
+// a synth destination, each with its own output range, curve and smoothing.
+//
+// A route set is plain JSON:
+// {
+//   lfos: { slow: { rate: 0.1, shape: 'sine' } },          // rate in Hz; sine | triangle | square | saw
+//   routes: [
+//     { source: 'rightRoll', destination: 'pan', min: -0.8, max: 0.8, curve: 'linear', smoothing: 0.8 },
+//     { source: 'lfo.slow', destination: 'filterQ', min: 1, max: 8 }
+//   ]
+// }
+// Bundled sets live in src/routes/*.json; a custom set can be saved to localStorage.
+
+const ROUTES_STORAGE_KEY = 'synthsnow.modRoutes';
+
+const routeModules = import.meta.glob('./routes/*.json', { eager: true, import: 'default' });
+
+export const ROUTE_SETS = {};
+for (const path in routeModules) {
+    const id = path.replace(/^.*\//, '').replace(/\.json$/, '');
+    ROUTE_SETS[id] = routeModules[path];
+}
+
+// Input range of each params source (booleans count as 0/1)
+export const MOD_SOURCES = {
+    leftHandY: [0, 1],
+    rightHandY: [0, 1],
+    leftHandX: [0, 1],
+    rightHandX: [0, 1],
+    leftPinchX: [0, 1],
+    leftPinchY: [0, 1],
+    leftPinchDist: [0.03, 0.33],
+    rightPinchDist: [0.03, 0.33],
+    leftRoll: [-Math.PI / 2, Math.PI / 2],
+    rightRoll: [-Math.PI / 2, Math.PI / 2],
+    leftFingerCount: [0, 5],
+    rightFingerCount: [0, 5],
+    leftFist: [0, 1],
+    rightFist: [0, 1],
+    leftOpenPalm: [0, 1],
+    rightOpenPalm: [0, 1]
+};
+
+// Smoothing is per frame at this rate - scaled to the real frame time so it sounds the same at any fps
+const SMOOTHING_FPS = 60;
+
+// Default output range of each destination (see PlayerVoice.applyModulation).
+// pan is added to the voice's own position (players sit at ±0.35)
+export const MOD_DESTINATIONS = {
+    filterQ: [0.5, 12],
+    reverbWet: [0, 0.9],
+    delayFeedback: [0, 0.85],
+    detune: [-50, 50],    // cents
+    pan: [-1, 1]
+};
+
+// 0-1 → 0-1 shaping
+const CURVES = {
+    linear: x => x,
+    exponential: x => x * x,
+    logarithmic: x => Math.sqrt(x),
+    inverted: x => 1 - x
+};
+
+// 0-1 LFO value at time t (seconds)
+const LFO_SHAPES = {
+    sine: phase => 0.5 - 0.5 * Math.cos(2 * Math.PI * phase),
+    triangle: phase => 1 - Math.abs(2 * phase - 1),
+    square: phase => (phase < 0.5 ? 1 : 0),
+    saw: phase => phase
+};
+
+export class ModMatrix {
+    constructor(routeSet = {}) {
+        this.lfos = routeSet.lfos || {};
+        this.routes = (routeSet.routes || []).map(route => this.validateRoute(route));
+
+        // Smoothed value per route (null until the source is first seen)
+        this.smoothed = this.routes.map(() => null);
+        this.lastTime = null;
+    }
+
+    validateRoute(route) {
+        if (!MOD_DESTINATIONS[route.destination]) {
+            throw new Error(`Unknown modulation destination: ${route.destination}`);
+        }
+        if (!MOD_SOURCES[route.source] && !this.isLfo(route.source)) {
+            throw new Error(`Unknown modulation source: ${route.source}`);
+        }
+        if (route.curve && !CURVES[route.curve]) {
+            throw new Error(`Unknown modulation curve: ${route.curve}`);
+        }
+        return route;
+    }
+
+    isLfo(source) {
+        return source.startsWith('lfo.') && this.lfos[source.slice(4)] !== undefined;
+    }
+
+    // Source value normalised to 0-1, or undefined when the source isn't in params
+    readSource(source, params, time) {
+        if (this.isLfo(source)) {
+            const { rate = 1, shape = 'sine', phase = 0 } = this.lfos[source.slice(4)];
+            const position = ((time * rate + phase) % 1 + 1) % 1;
+            return (LFO_SHAPES[shape] || LFO_SHAPES.sine)(position);
+        }
+
+        const value = params[source];
+        if (value === undefined || value === null) return undefined;
+
+        const [min, max] = MOD_SOURCES[source];
+        const number = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+        return Math.min(Math.max((number - min) / (max - min), 0), 1);
+    }
+
+    // Destination values for this params frame: { pan: 0.3, ... }.
+    // Several routes to one destination are averaged
+    update(params) {
+        const now = params.timestamp !== undefined ? params.timestamp : Date.now();
+        const time = now / 1000;
+
+        // Frames elapsed at SMOOTHING_FPS since the last update (1 on the first)
+        const frames = this.lastTime === null ? 1 : Math.max(0, time - this.lastTime) * SMOOTHING_FPS;
+        this.lastTime = time;
+
+        const totals = {};
+        const counts = {};
+
+        this.routes.forEach((route, i) => {
+            const input = this.readSource(route.source, params, time);
+            if (input === undefined) return;
+
+            // One-pole smoothing: 0 = follow instantly, 0.95 = very slow (per 60 fps frame)
+            const smoothing = Math.pow(route.smoothing || 0, frames);
+            const previous = this.smoothed[i];
+            const value = previous === null ? input : previous * smoothing + input * (1 - smoothing);
+            this.smoothed[i] = value;
+
+            const [defaultMin, defaultMax] = MOD_DESTINATIONS[route.destination];
+            const min = route.min !== undefined ? route.min : defaultMin;
+            const max = route.max !== undefined ? route.max : defaultMax;
+            const shaped = CURVES[route.curve || 'linear'](value);
+
+            totals[route.destination] = (totals[route.destination] || 0) + min + (max - min) * shaped;
+            counts[route.destination] = (counts[route.destination] || 0) + 1;
+        });
+
+        const values = {};
+        for (const destination in totals) {
+            values[destination] = totals[destination] / counts[destination];
+        }
+        return values;
+    }
+
+    toJSON() {
+        return { lfos: this.lfos, routes: this.routes };
+    }
+}
+
+// ModMatrix for a route set, or null (with a warning) when the set is missing or invalid -
+// a bad stored set shouldn't stop the audio from starting
+export function createModMatrix(routeSet) {
+    if (!routeSet) return null;
+    try {
+        return new ModMatrix(routeSet);
+    } catch (error) {
+        console.warn('Ignoring invalid modulation routes:', error.message);
+        return null;
+    }
+}
+
+// Bundled set id, or 'stored' for the one saved in localStorage. null when there isn't one
+export function loadRouteSet(id) {
+    if (id === 'stored') {
+        try {
+            const stored = window.localStorage.getItem(ROUTES_STORAGE_KEY);
+            if (stored) return JSON.parse(stored);
+        } catch (error) {
+            console.warn('Could not load modulation routes:', error);
+        }
+        return null;
+    }
+
+    if (!ROUTE_SETS[id]) {
+        console.warn(`Unknown modulation routes "${id}" - available: ${Object.keys(ROUTE_SETS).join(', ')}, stored`);
+        return null;
+    }
+    return ROUTE_SETS[id];
+}
+
+export function saveRouteSet(routeSet) {
+    try {
+        window.localStorage.setItem(ROUTES_STORAGE_KEY, JSON.stringify(routeSet));
+    } catch (error) {
+        console.warn('Could not save modulation routes:', error);
+    }
+}
@@ -0,0 +1,49 @@
+// Synth patch presets: every JSON file in src/patches/ is a preset, keyed by file name.
+// A patch describes the pad + bass voices and the master chain:
+// {
+//   name: 'Classic',
+//   pad:  { oscillator, envelope, volume (dB trim on top of the hand volume), filter, reverb },
+//   bass: { oscillator, envelope, filter, reverb, delay },
+//   master: { compressor, limiter (threshold dB) }
+// }
+// Option objects are passed straight to Tone (Synth, Filter, Reverb, FeedbackDelay, Compressor).
+// Anything a preset leaves out comes from classic.json.
+
+const presetModules = import.meta.glob('./patches/*.json', { eager: true, import: 'default' });
+
+export const PATCHES = {};
+for (const path in presetModules) {
+    const id = path.replace(/^.*\//, '').replace(/\.json$/, '');
+    PATCHES[id] = presetModules[path];
+}
+
+export const DEFAULT_PATCH = 'classic';
+
+// Preset id or patch object → a complete patch (missing sections filled from base)
+export function resolvePatch(patch, base = PATCHES[DEFAULT_PATCH]) {
+    if (typeof patch === 'string') {
+        if (!PATCHES[patch]) {
+            throw new Error(`Unknown patch: ${patch}`);
+        }
+        patch = PATCHES[patch];
+    }
+    return mergePatch(base, patch || {});
+}
+
+function mergePatch(base, patch) {
+    const merged = { ...base };
+    for (const key in patch) {
+        const value = patch[key];
+        // Oscillators are replaced whole - a sine has no 'spread' to inherit
+        if (key !== 'oscillator' && isObject(value) && isObject(base[key])) {
+            merged[key] = mergePatch(base[key], value);
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,40 @@
+// Seeded randomness for everything that shapes a game (cluster requirements, snow placement,
+// falling snow, random arpeggios), so a seed in the URL reproduces a layout exactly.
+// Purely cosmetic randomness (background snowfall, sound effect variation) still uses Math.random.
+
+const MAX_SEED = 4294967296;   // Seeds are unsigned 32-bit
+
+// New seed for a session without one - short enough to read out or type
+export function randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+// ?seed=48213 → 48213; any other text is hashed, so ?seed=christmas works too. null when empty
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(text) % MAX_SEED;
+
+    // FNV-1a
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: seed → function returning floats in [0, 1), like Math.random
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED;
+    };
+}
@@ -0,0 +1,173 @@
+import { HandTracker } from './hands.js';
+
+const RECORDING_VERSION = 1;
+
+// Captures the raw MediaPipe results stream (landmarks + handedness) with timestamps
+export class LandmarkRecorder {
+    constructor() {
+        this.frames = [];
+        this.recording = false;
+        this.startTime = 0;
+    }
+
+    start() {
+        this.frames = [];
+        this.recording = true;
+        this.startTime = null;
+        console.log('Landmark recording started');
+    }
+
+    stop() {
+        this.recording = false;
+        console.log(`Landmark recording stopped (${this.frames.length} frames)`);
+        return this.toJSON();
+    }
+
+    capture(results, timestamp) {
+        if (!this.recording) return;
+
+        // Timestamps are stored relative to the first frame
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+
+        // Copy into plain objects - MediaPipe reuses its result buffers
+        const landmarks = results.multiHandLandmarks || [];
+        const handedness = results.multiHandedness || [];
+
+        this.frames.push({
+            t: timestamp - this.startTime,
+            multiHandLandmarks: landmarks.map(hand =>
+                hand.map(({ x, y, z }) => ({ x, y, z }))
+            ),
+            multiHandedness: handedness.map(({ index, score, label }) => ({ index, score, label }))
+        });
+    }
+
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            frames: this.frames
+        };
+    }
+
+    download(filename = `synthsnow-session-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Feeds a recording back through HandTracker.onResults in place of the camera
+// Works as an input driver: init() + onUpdate, like HandTracker itself
+export class LandmarkPlayer {
+    constructor(options = {}) {
+        this.onUpdate = null;
+        this.onEnd = null;
+
+        // Either a recording object or a URL to fetch one from
+        this.recording = options.recording || null;
+        this.url = options.url || null;
+        this.loop = options.loop || false;
+
+        // Tracker that turns frames into params (draws the skeleton too)
+        this.handTracker = options.handTracker || new HandTracker();
+        this.handTracker.onUpdate = (params) => {
+            if (this.onUpdate) this.onUpdate(params);
+        };
+
+        this.frameIndex = 0;
+        this.playing = false;
+        this.playStartTime = 0;
+        this.timeOffset = 0;  // Added to recorded times on each loop
+    }
+
+    async init() {
+        if (!this.recording) {
+            if (!this.url) {
+                throw new Error('LandmarkPlayer needs a recording or a recording URL');
+            }
+            this.recording = await LandmarkPlayer.load(this.url);
+        }
+
+        this.handTracker.initOverlay();
+        this.play();
+        console.log(`Replaying ${this.recording.frames.length} recorded frames`);
+    }
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load recording ${url} (${response.status})`);
+        }
+
+        const recording = await response.json();
+        if (recording.version !== RECORDING_VERSION || !Array.isArray(recording.frames)) {
+            throw new Error(`Unsupported recording format in ${url}`);
+        }
+        return recording;
+    }
+
+    // Real-time playback: frames go out when their recorded time comes up. Only the pace depends on
+    // the clock - the game and tutorial time themselves by the recorded timestamps
+    play() {
+        this.frameIndex = 0;
+        this.timeOffset = 0;
+        this.playing = true;
+        this.playStartTime = performance.now();
+        requestAnimationFrame(() => this.tick());
+    }
+
+    stop() {
+        this.playing = false;
+    }
+
+    tick() {
+        if (!this.playing) return;
+
+        const elapsed = performance.now() - this.playStartTime;
+        const frames = this.recording.frames;
+
+        while (this.frameIndex < frames.length && frames[this.frameIndex].t + this.timeOffset <= elapsed) {
+            this.step();
+        }
+
+        if (this.frameIndex >= frames.length) {
+            if (this.loop && frames.length > 0) {
+                // Keep timestamps increasing across loops
+                this.timeOffset += frames[frames.length - 1].t + 1;
+                this.frameIndex = 0;
+            } else {
+                this.playing = false;
+                if (this.onEnd) this.onEnd();
+                return;
+            }
+        }
+
+        requestAnimationFrame(() => this.tick());
+    }
+
+    // Feed the next frame through the tracker; returns false when done
+    step() {
+        const frame = this.recording.frames[this.frameIndex];
+        if (!frame) return false;
+
+        this.frameIndex++;
+        this.handTracker.onResults(frame, frame.t + this.timeOffset);
+        return true;
+    }
+
+    // Feed every remaining frame immediately (no waiting on the clock)
+    runToEnd() {
+        while (this.frameIndex < this.recording.frames.length) {
+            this.step();
+        }
+    }
+}
@@ -0,0 +1,99 @@
+import * as Tone from 'tone';
+import { buildMusicSet } from './theory.js';
+import { getChimeNotes } from './chimes.js';
+
+// Procedural sound effects: a tuned cascade when a cluster clears, soft thumps when snow lands.
+// Every sound costs voices from a per-frame budget, so a big clear can't flood the audio graph.
+
+const CASCADE_STEP = 0.07;   // Seconds between cascade notes
+const THUMP_VOICES = 4;      // Noise voices shared by all thumps (round robin)
+
+// Cascade notes for a cluster: its bass note, then its chord rising over two octaves
+export function getCascadeNotes(cluster, music) {
+    const notes = [];
+    if (cluster.bassNote) {
+        notes.push(`${cluster.bassNote}2`);
+    }
+    notes.push(...getChimeNotes(cluster.chord, music, 1), ...getChimeNotes(cluster.chord, music, 2));
+    return notes;
+}
+
+export class SoundEffects {
+    constructor(options = {}) {
+        this.music = options.music || buildMusicSet();
+
+        // Most notes/thumps started in one frame (see beginFrame)
+        this.voiceBudget = options.voiceBudget || 12;
+        this.voicesUsed = 0;
+
+        this.cascadeSynth = null;
+        this.thumps = [];
+        this.nextThump = 0;
+        this.output = null;
+    }
+
+    build(output) {
+        this.output = new Tone.Volume(-10).connect(output);
+
+        const cascadeReverb = new Tone.Reverb({ decay: 3, wet: 0.35 }).connect(this.output);
+        this.cascadeSynth = new Tone.PolySynth(Tone.Synth, {
+            maxPolyphony: this.voiceBudget,
+            oscillator: { type: 'triangle' },
+            envelope: { attack: 0.005, decay: 0.6, sustain: 0, release: 0.8 }
+        }).connect(cascadeReverb);
+
+        for (let i = 0; i < THUMP_VOICES; i++) {
+            const filter = new Tone.Filter({ frequency: 250, type: 'lowpass', rolloff: -24 }).connect(this.output);
+            const synth = new Tone.NoiseSynth({
+                noise: { type: 'brown' },
+                envelope: { attack: 0.002, decay: 0.12, sustain: 0 }
+            }).connect(filter);
+            this.thumps.push({ synth, filter });
+        }
+    }
+
+    // Call once per animation frame - refills the voice budget
+    beginFrame() {
+        this.voicesUsed = 0;
+    }
+
+    // Takes up to count voices from this frame's budget, returns how many were granted
+    takeVoices(count) {
+        const granted = Math.max(0, Math.min(count, this.voiceBudget - this.voicesUsed));
+        this.voicesUsed += granted;
+        return granted;
+    }
+
+    clusterCleared(cluster) {
+        if (!this.cascadeSynth) return;
+
+        const notes = getCascadeNotes(cluster, this.music);
+        const granted = this.takeVoices(notes.length);
+        const now = Tone.now();
+
+        // Keep the bass note and the lowest chord tones if the budget runs short
+        notes.slice(0, granted).forEach((note, i) => {
+            const velocity = 0.7 - 0.4 * (i / notes.length);
+            this.cascadeSynth.triggerAttackRelease(note, '8n', now + i * CASCADE_STEP, velocity);
+        });
+    }
+
+    // Positions of the snow pieces that hit the ground this frame
+    snowLanded(positions) {
+        if (this.thumps.length === 0) return;
+
+        // Only ask for as many voices as can sound, so the rest of the budget stays free
+        const granted = this.takeVoices(Math.min(positions.length, THUMP_VOICES));
+        const now = Tone.now();
+
+        for (let i = 0; i < granted; i++) {
+            const thump = this.thumps[this.nextThump];
+            this.nextThump = (this.nextThump + 1) % this.thumps.length;
+
+            // A little different every time: darker/brighter, softer/louder, slightly late
+            thump.filter.frequency.setValueAtTime(150 + Math.random() * 250, now);
+            thump.synth.envelope.decay = 0.08 + Math.random() * 0.12;
+            thump.synth.triggerAttackRelease(0.05, now + Math.random() * 0.03, 0.2 + Math.random() * 0.3);
+        }
+    }
+}
@@ -0,0 +1,200 @@
+import * as Tone from 'tone';
+import { getChordLabel, getPitchClass, getNoteName } from './theory.js';
+
+// Spectrum-based resonance: listens to the master output instead of reading params.
+// Each cluster gets a target spectral profile (chord pitch classes, loudness, centroid)
+// and resonance strength comes from how closely the analysed sound matches it.
+
+// Rough targets for each cluster level - the sound the matching hand position makes
+const LOUDNESS_TARGETS = { low: -40, mid: -28, high: -16 };      // dB at the limiter
+const CENTROID_TARGETS = { dark: 400, medium: 1200, bright: 3000 }; // Hz
+
+const LOUDNESS_TOLERANCE = 12;   // dB off target before loudness stops counting
+const CENTROID_TOLERANCE = 1.5;  // Octaves off target before brightness stops counting
+const SILENCE = -60;             // dB - quieter than this and nothing is analysed
+
+// Only bins in this range count towards pitch (below is rumble, above is mostly harmonics)
+const PITCH_MIN_FREQ = 50;
+const PITCH_MAX_FREQ = 5000;
+
+// Target profile for a cluster: { pitchClasses, rootPitchClass, loudness, centroid }
+export function getSpectralProfile(cluster, music) {
+    const chordName = music.chordNames.find(name => getChordLabel(name) === cluster.chord);
+    const notes = chordName ? music.chords[chordName] : [];
+    const pitchClasses = notes.map(note => getPitchClass(getNoteName(note)));
+
+    return {
+        pitchClasses,
+        rootPitchClass: pitchClasses.length > 0 ? pitchClasses[0] : null,
+        loudness: LOUDNESS_TARGETS[cluster.volume],
+        centroid: CENTROID_TARGETS[cluster.filter]
+    };
+}
+
+// Analyse one FFT frame.
+// magnitudesDb: dB per bin from 0 Hz up to sampleRate / 2 (what Tone.FFT.getValue returns)
+// Returns { loudness, centroid, chroma (12 values summing to 1), pitchClass (dominant) }
+export function analyseSpectrum(magnitudesDb, sampleRate, loudness) {
+    const binWidth = sampleRate / 2 / magnitudesDb.length;
+    const chroma = new Array(12).fill(0);
+    let weightedSum = 0;
+    let totalPower = 0;
+
+    for (let i = 1; i < magnitudesDb.length; i++) {
+        const power = Math.pow(10, magnitudesDb[i] / 10);
+        const freq = i * binWidth;
+
+        weightedSum += freq * power;
+        totalPower += power;
+
+        // Pitch from spectral peaks only - at low frequencies a semitone is about one bin wide,
+        // so the skirts of a peak would land in the neighbouring pitch classes
+        const prev = magnitudesDb[i - 1];
+        const current = magnitudesDb[i];
+        const next = i + 1 < magnitudesDb.length ? magnitudesDb[i + 1] : -Infinity;
+        if (current > prev && current >= next && isFinite(current)) {
+            // Parabolic interpolation for the true peak frequency
+            const curve = prev - 2 * current + next;
+            const offset = isFinite(curve) && curve !== 0 ? 0.5 * (prev - next) / curve : 0;
+            const peakFreq = (i + offset) * binWidth;
+
+            if (peakFreq >= PITCH_MIN_FREQ && peakFreq <= PITCH_MAX_FREQ) {
+                const midi = Math.round(12 * Math.log2(peakFreq / 440) + 69);
+                chroma[((midi % 12) + 12) % 12] += power;
+            }
+        }
+    }
+
+    const chromaTotal = chroma.reduce((sum, value) => sum + value, 0);
+    const normalized = chroma.map(value => chromaTotal > 0 ? value / chromaTotal : 0);
+
+    return {
+        loudness,
+        centroid: totalPower > 0 ? weightedSum / totalPower : 0,
+        chroma: normalized,
+        pitchClass: chromaTotal > 0 ? normalized.indexOf(Math.max(...normalized)) : null
+    };
+}
+
+// 0-1 match between a cluster profile and an analysed reading (null = silence, nothing to judge)
+export function matchSpectrum(profile, reading) {
+    if (!reading || reading.loudness === undefined || reading.loudness < SILENCE) return null;
+
+    const scores = [];
+
+    // Pitch: share of the chroma energy in the chord's pitch classes.
+    // A triad's own harmonics put roughly 3/4 of the energy there; a neighbouring chord about half
+    if (profile.pitchClasses.length > 0) {
+        const share = profile.pitchClasses.reduce((sum, pc) => sum + reading.chroma[pc], 0);
+        scores.push(clamp((share - 0.5) / 0.25));
+    }
+
+    if (profile.loudness !== undefined) {
+        scores.push(clamp(1 - Math.abs(reading.loudness - profile.loudness) / LOUDNESS_TOLERANCE));
+    }
+
+    if (profile.centroid !== undefined && reading.centroid > 0) {
+        const octaves = Math.abs(Math.log2(reading.centroid / profile.centroid));
+        scores.push(clamp(1 - octaves / CENTROID_TOLERANCE));
+    }
+
+    if (scores.length === 0) return null;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+function clamp(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+// Taps a node (the music limiter - chimes and effects bypass it) with a Tone FFT + Meter
+export class SpectrumAnalyser {
+    constructor(source, options = {}) {
+        this.fft = new Tone.FFT({ size: options.size || 4096 });
+        this.meter = new Tone.Meter({ smoothing: options.smoothing !== undefined ? options.smoothing : 0.8 });
+
+        source.connect(this.fft);
+        source.connect(this.meter);
+    }
+
+    get sampleRate() {
+        return this.fft.context.sampleRate;
+    }
+
+    // Current reading of the live output
+    analyse() {
+        const loudness = this.meter.getValue();
+        return analyseSpectrum(this.fft.getValue(), this.sampleRate, isFinite(loudness) ? loudness : -Infinity);
+    }
+
+    // Reading for a rendered buffer (e.g. from Tone.Offline) - averages FFT frames over the whole buffer
+    static analyseBuffer(buffer, size = 4096) {
+        const samples = buffer.getChannelData(0);
+        const frameSize = size * 2;
+        const spectrum = new Float64Array(size);
+        let frames = 0;
+        let sumSquares = 0;
+
+        for (let start = 0; start + frameSize <= samples.length; start += frameSize) {
+            const re = new Float64Array(frameSize);
+            const im = new Float64Array(frameSize);
+            for (let i = 0; i < frameSize; i++) {
+                // Blackman window like the AnalyserNode
+                const a = (2 * Math.PI * i) / (frameSize - 1);
+                const window = 0.42 - 0.5 * Math.cos(a) + 0.08 * Math.cos(2 * a);
+                re[i] = samples[start + i] * window;
+                sumSquares += samples[start + i] * samples[start + i];
+            }
+            fft(re, im);
+            for (let i = 0; i < size; i++) {
+                spectrum[i] += (re[i] * re[i] + im[i] * im[i]) / (frameSize * frameSize);
+            }
+            frames++;
+        }
+
+        if (frames === 0) {
+            return analyseSpectrum(new Float32Array(size).fill(-Infinity), buffer.sampleRate, -Infinity);
+        }
+
+        const magnitudesDb = Array.from(spectrum, power => 10 * Math.log10(power / frames));
+        const loudness = 10 * Math.log10(sumSquares / (frames * frameSize));
+        return analyseSpectrum(magnitudesDb, buffer.sampleRate, loudness);
+    }
+
+    dispose() {
+        this.fft.dispose();
+        this.meter.dispose();
+    }
+}
+
+// In-place radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = (-2 * Math.PI) / len;
+        for (let i = 0; i < n; i += len) {
+            for (let k = 0; k < len / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = i + k;
+                const b = a + len / 2;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
@@ -0,0 +1,287 @@
+// Music theory: builds the chord and bass note sets for a key, mode and progression.
+// AudioManager (what plays) and SnowTree (what clusters ask for) both use the same set.
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const PITCH_CLASSES = {
+    'C': 0, 'B#': 0,
+    'C#': 1, 'Db': 1,
+    'D': 2,
+    'D#': 3, 'Eb': 3,
+    'E': 4, 'Fb': 4,
+    'F': 5, 'E#': 5,
+    'F#': 6, 'Gb': 6,
+    'G': 7,
+    'G#': 8, 'Ab': 8,
+    'A': 9,
+    'A#': 10, 'Bb': 10,
+    'B': 11, 'Cb': 11
+};
+
+// Semitone steps of each mode from the tonic
+export const MODES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    phrygian: [0, 1, 3, 5, 7, 8, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    mixolydian: [0, 2, 4, 5, 7, 9, 10],
+    locrian: [0, 1, 3, 5, 6, 8, 10]
+};
+
+// Progression templates as scale degrees (1 = tonic), low hand position first.
+// { degree, major: true } raises a minor chord's third (harmonic minor's V)
+export const PROGRESSIONS = {
+    pop: [1, 5, 6, 4],          // I V vi IV
+    fifties: [1, 6, 4, 5],      // I vi IV V
+    royal: [4, 5, 3, 6],        // IV V iii vi
+    andalusian: [1, 7, 6, { degree: 5, major: true }],   // i VII VI V (in minor)
+    jazz: [2, 5, 1, 6]          // ii V I vi
+};
+
+const QUALITY_SUFFIXES = {
+    '4,7': '',      // major
+    '3,7': 'm',     // minor
+    '3,6': 'dim',   // diminished
+    '4,8': 'aug'    // augmented
+};
+
+// Keys written with flats (everything else uses sharps)
+const FLAT_MAJOR_KEYS = ['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb'];
+const FLAT_MINOR_KEYS = ['D', 'G', 'C', 'F', 'Bb', 'Eb', 'Ab'];
+
+const DEFAULT_OPTIONS = {
+    key: 'Eb',
+    mode: 'major',
+    progression: 'pop',
+    octave: 2,                  // Octave of the lowest tonic chord
+    layers: 2,                  // Progression repeated this many octaves up the hand range
+    bassDegrees: [1, 4, 5],     // Bass grid columns (I, IV, V)
+    bassOctaves: [1, 2, 3, 4]   // Bass grid rows, lowest first
+};
+
+// 'Eb2' → { name: 'Eb', octave: 2 }
+export function parseNote(note) {
+    const match = /^([A-G][#b]?)(-?\d+)$/.exec(note);
+    if (!match) {
+        throw new Error(`Invalid note: ${note}`);
+    }
+    return { name: match[1], octave: parseInt(match[2], 10) };
+}
+
+// 'Eb2' → 39 (MIDI, C4 = 60)
+export function noteToMidi(note) {
+    const { name, octave } = parseNote(note);
+    return PITCH_CLASSES[name] + (octave + 1) * 12;
+}
+
+// 39 → 'Eb2' (or 'D#2' without flats)
+export function midiToNote(midi, useFlats = true) {
+    const names = useFlats ? FLAT_NAMES : SHARP_NAMES;
+    return `${names[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+export function getPitchClass(name) {
+    const pitchClass = PITCH_CLASSES[name];
+    if (pitchClass === undefined) {
+        throw new Error(`Unknown note name: ${name}`);
+    }
+    return pitchClass;
+}
+
+// Note name without its octave: 'Eb2' → 'Eb'
+export function getNoteName(note) {
+    return note.replace(/-?\d+$/, '');
+}
+
+// Chord label without its octave: 'Cm3' → 'Cm' (what clusters ask for)
+export function getChordLabel(chordName) {
+    return chordName.replace(/-?\d+$/, '');
+}
+
+function usesFlats(key, mode) {
+    if (key.includes('b')) return true;
+    const flatKeys = mode === 'major' || mode === 'lydian' || mode === 'mixolydian'
+        ? FLAT_MAJOR_KEYS
+        : FLAT_MINOR_KEYS;
+    return flatKeys.includes(key);
+}
+
+// Builds the chord + bass tables for a key, mode and progression template.
+// Returns {
+//   key, mode, progression,
+//   chords: { 'Eb2': ['Eb2', 'G2', 'Bb2'], ... },  // chord name → notes
+//   chordNames: ['Eb2', 'Bb2', ...],              // by hand height band, low band first
+//   chordLabels: ['Eb', 'Bb', 'Cm', 'Ab'],        // unique labels, for cluster requirements
+//   bassNotesByOctave: [['Eb1', 'Ab1', 'Bb1'], ...],
+//   bassNoteNames: ['Eb', 'Ab', 'Bb']
+// }
+export function buildMusicSet(options = {}) {
+    // Unset (undefined) options keep their defaults
+    const settings = { ...DEFAULT_OPTIONS };
+    for (const name in options) {
+        if (options[name] !== undefined) {
+            settings[name] = options[name];
+        }
+    }
+
+    // A bad name (e.g. a typo in ?key=) falls back to the default instead of breaking the app
+    if (PITCH_CLASSES[settings.key] === undefined) {
+        console.warn(`Unknown key "${settings.key}", using ${DEFAULT_OPTIONS.key}`);
+        settings.key = DEFAULT_OPTIONS.key;
+    }
+    if (!MODES[settings.mode]) {
+        console.warn(`Unknown mode "${settings.mode}" - available: ${Object.keys(MODES).join(', ')}`);
+        settings.mode = DEFAULT_OPTIONS.mode;
+    }
+    if (!Array.isArray(settings.progression) && !PROGRESSIONS[settings.progression]) {
+        console.warn(`Unknown progression "${settings.progression}" - available: ${Object.keys(PROGRESSIONS).join(', ')}`);
+        settings.progression = DEFAULT_OPTIONS.progression;
+    }
+
+    const { key, mode, octave, layers, bassDegrees, bassOctaves } = settings;
+
+    const scale = MODES[mode];
+    const degrees = Array.isArray(settings.progression)
+        ? settings.progression
+        : PROGRESSIONS[settings.progression];
+
+    const tonicPitchClass = getPitchClass(key);
+    const tonicMidi = tonicPitchClass + (octave + 1) * 12;
+    const flats = usesFlats(key, mode);
+
+    // Semitones above the tonic for scale step i (steps past 7 go up an octave)
+    const stepOffset = (i) => scale[i % 7] + 12 * Math.floor(i / 7);
+
+    const chords = {};
+    const chordNames = [];
+    const chordLabels = [];
+
+    for (let layer = 0; layer < layers; layer++) {
+        for (const entry of degrees) {
+            const { degree, major } = typeof entry === 'number' ? { degree: entry } : entry;
+            const root = degree - 1;
+
+            // Stack thirds from the scale; roots sit at or just above the tonic
+            const offsets = [root, root + 2, root + 4].map(stepOffset);
+            if (major && offsets[1] - offsets[0] === 3) {
+                offsets[1]++;
+            }
+            // A raised third is a leading-tone sharp even in flat keys (C# in D minor, not Db)
+            const notes = offsets.map((offset, i) =>
+                midiToNote(tonicMidi + offset + layer * 12, flats && !(i === 1 && offset !== stepOffset(root + 2)))
+            );
+
+            const rootMidi = tonicMidi + offsets[0] + layer * 12;
+            const intervals = [offsets[1] - offsets[0], offsets[2] - offsets[0]];
+            const suffix = QUALITY_SUFFIXES[intervals.join(',')] || '';
+
+            const rootNote = parseNote(midiToNote(rootMidi, flats));
+            const label = `${rootNote.name}${suffix}`;
+            const chordName = `${label}${rootNote.octave}`;
+
+            chords[chordName] = notes;
+            chordNames.push(chordName);
+            if (!chordLabels.includes(label)) {
+                chordLabels.push(label);
+            }
+        }
+    }
+
+    const bassNoteNames = bassDegrees.map(degree =>
+        (flats ? FLAT_NAMES : SHARP_NAMES)[(tonicPitchClass + scale[(degree - 1) % 7]) % 12]
+    );
+
+    const bassNotesByOctave = bassOctaves.map(bassOctave =>
+        bassNoteNames.map(name => `${name}${bassOctave}`)
+    );
+
+    return {
+        key,
+        mode,
+        progression: degrees,
+        chords,
+        chordNames,
+        chordLabels,
+        bassNotesByOctave,
+        bassNoteNames
+    };
+}
+
+// Tonic triad of a music set, root at the given octave (a resolution chord: 'Eb3', 'G3', 'Bb3')
+export function getTonicChord(music, octave = 3) {
+    const scale = MODES[music.mode];
+    const tonicMidi = getPitchClass(music.key) + (octave + 1) * 12;
+    const flats = usesFlats(music.key, music.mode);
+
+    return [0, 2, 4].map(step => midiToNote(tonicMidi + scale[step], flats));
+}
+
+// Left hand height that selects a chord (middle of its band) - for inputs without hands
+export function getChordHandY(music, chordIndex) {
+    return (chordIndex + 0.5) / music.chordNames.length;
+}
+
+// Pinch position that triggers music.bassNotesByOctave[octave][index] (see AudioManager.triggerBass)
+export function getBassPinch(music, octave, index) {
+    const numCols = music.bassNotesByOctave[0].length;
+    const numRows = music.bassNotesByOctave.length;
+    const rowIndex = numRows - 1 - octave;
+
+    return {
+        x: (index + 0.5) / numCols,
+        y: (rowIndex + 0.5) / numRows
+    };
+}
+
+// Moves every note by whole octaves: shifts[i] for notes[i] (keeps the spelling)
+function shiftOctaves(notes, shifts) {
+    return notes.map((note, i) => {
+        const { name, octave } = parseNote(note);
+        return `${name}${octave + shifts[i]}`;
+    });
+}
+
+const VOICING_LOWEST = 28;    // E1
+const VOICING_HIGHEST = 84;   // C6
+
+// Voicing of chordNotes (any inversion, moved by octaves) closest to the notes sounding now.
+// Notes stay in chord-tone order (root, third, fifth), just in other octaves.
+// A small pull back towards the chord's own register stops voicings drifting off the keyboard
+export function voiceLead(previousNotes, chordNotes) {
+    if (!previousNotes || previousNotes.length === 0) return [...chordNotes];
+
+    const previous = previousNotes.map(noteToMidi).sort((a, b) => a - b);
+    const home = chordNotes.map(noteToMidi);
+    const homeCenter = home.reduce((sum, midi) => sum + midi, 0) / home.length;
+
+    let best = chordNotes;
+    let bestCost = Infinity;
+
+    for (let inversion = 0; inversion < chordNotes.length; inversion++) {
+        for (let shift = -2; shift <= 2; shift++) {
+            const shifts = chordNotes.map((note, i) => shift + (i < inversion ? 1 : 0));
+            const candidate = home.map((midi, i) => midi + shifts[i] * 12);
+            const sorted = [...candidate].sort((a, b) => a - b);
+
+            if (sorted[0] < VOICING_LOWEST || sorted[sorted.length - 1] > VOICING_HIGHEST) continue;
+
+            // Total semitones moved, lowest voice to lowest voice (extra voices pair with the top)
+            let cost = 0;
+            sorted.forEach((midi, i) => {
+                cost += Math.abs(midi - previous[Math.min(i, previous.length - 1)]);
+            });
+
+            const center = candidate.reduce((sum, midi) => sum + midi, 0) / candidate.length;
+            cost += Math.abs(center - homeCenter) * 0.25;
+
+            if (cost < bestCost) {
+                bestCost = cost;
+                best = shiftOctaves(chordNotes, shifts);
+            }
+        }
+    }
+
+    return best;
+}
@@ -1,13 +1,41 @@
 import * as THREE from 'three';
 import { Tree } from '@dgreenheck/ez-tree';
+import { HysteresisQuantizer } from './filters.js';
+import { buildMusicSet, getChordLabel, getNoteName } from './theory.js';
+import { getSpectralProfile, matchSpectrum } from './spectrum.js';
+import { DENSITY_LEVELS } from './drums.js';
+import { resolveLevel } from './levels.js';
+import { createRandom, randomSeed } from './random.js';
+
+const VOLUME_LEVELS = ['low', 'mid', 'high'];
+const FILTER_LEVELS = ['dark', 'medium', 'bright'];
 
 export class SnowTree {
-    constructor(sceneManager) {
+    constructor(sceneManager, options = {}) {
         this.sceneManager = sceneManager;
         this.tree = null;
         this.snowSegments = [];   // Snow segments on branches
         this.resonanceClusters = []; // Clusters of nearby snow with same resonance
 
+        // Tree shape, cluster size/requirements and match threshold (see levels.js)
+        this.level = resolveLevel(options.level);
+
+        // Seed for cluster requirements, snow placement and falling snow (see random.js)
+        this.seed = options.seed !== undefined && options.seed !== null ? options.seed : randomSeed();
+        this.random = createRandom(this.seed);
+
+        // Chords / bass notes clusters can ask for - the same set AudioManager plays
+        this.music = options.music || buildMusicSet(this.level.music);
+
+        // Two-player matching: 'either' = best single player, 'combined' = players share the requirements
+        this.resonanceMode = options.resonanceMode || 'either';
+
+        // Per-player volume/filter level bands (see readParams)
+        this.levelQuantizers = [];
+
+        // Spectrum mode: a SpectrumAnalyser on the master output replaces the params checks
+        this.spectrumAnalyser = options.spectrumAnalyser || null;
+
         // InstancedMesh for performance
         this.snowInstancedMesh = null;
         this.instanceMatrices = [];  // Store original matrices for reset
@@ -22,14 +50,21 @@ export class SnowTree {
         // InstancedMesh for falling snow animation (no pool limit)
         this.fallingSnowMesh = null;
         this.fallingSnowData = [];  // Track each falling piece's state
+
+        // Event hooks (e.g. sound effects)
+        this.onClusterCleared = null;  // (cluster)
+        this.onSnowLanded = null;      // (positions of the pieces that hit the ground this frame)
     }
 
     async generate() {
+        // Same seed, same layout - restart the sequence for every tree
+        this.random = createRandom(this.seed);
+
         // Create the tree
         this.tree = new Tree();
 
-        // Set seed for reproducibility
-        this.tree.options.seed = 12345;
+        // Level's tree options (seed for reproducibility, shape overrides)
+        mergeOptions(this.tree.options, this.level.tree);
 
         // No leaves for winter look - set count to 0 AND size to 0
         this.tree.options.leaves.count = 0;
@@ -56,6 +91,48 @@ export class SnowTree {
         this.createResonanceClusters();
     }
 
+    // Swap in a new tree (and snow, clusters) for another level or seed, on the same scene
+    async regenerate(level = this.level, music = null, seed = this.seed) {
+        this.dispose();
+
+        this.level = resolveLevel(level);
+        this.seed = seed;
+        this.music = music || buildMusicSet(this.level.music);
+
+        await this.generate();
+    }
+
+    // Remove the tree, snow and clusters from the scene
+    dispose() {
+        const scene = this.sceneManager.scene;
+
+        if (this.tree) {
+            scene.remove(this.tree);
+            this.tree.traverse((child) => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                }
+            });
+            this.tree = null;
+        }
+
+        [this.snowInstancedMesh, this.fallingSnowMesh].forEach((mesh) => {
+            if (mesh) {
+                scene.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            }
+        });
+
+        this.snowInstancedMesh = null;
+        this.fallingSnowMesh = null;
+        this.snowData = [];
+        this.instanceMatrices = [];
+        this.fallingSnowData = [];
+        this.resonanceClusters = [];
+        this.levelQuantizers = [];
+    }
+
     async addBranchSnow() {
         // Get branch segments (pairs of connected points along branches)
         const branchSegments = this.getBranchSegments();
@@ -180,7 +257,7 @@ export class SnowTree {
 
         // Add slight random rotation for natural look
         const randomRotation = new THREE.Quaternion();
-        randomRotation.setFromEuler(new THREE.Euler(0, 0, (Math.random() - 0.5) * 0.15));
+        randomRotation.setFromEuler(new THREE.Euler(0, 0, (this.random() - 0.5) * 0.15));
         quaternion.multiply(randomRotation);
 
         // Scale to match desired dimensions
@@ -309,15 +386,20 @@ export class SnowTree {
 
     createResonanceClusters() {
         // Group nearby snow into clusters that share resonance parameters
-        const chords = ['Eb', 'Bb', 'Cm', 'Ab'];
-        const volumeLevels = ['low', 'mid', 'high'];
-        const filterRanges = ['dark', 'medium', 'bright'];
-        const bassNotes = ['Eb', 'Ab', 'Bb'];
+        const chords = this.music.chordLabels;
+        const volumeLevels = VOLUME_LEVELS;
+        const filterRanges = FILTER_LEVELS;
+        const bassNotes = this.music.bassNoteNames;
 
         // Use spatial clustering - snow pieces within certain distance share a cluster
-        const clusterRadius = 2.5;
+        const { clusterRadius, requirements } = this.level;
         const assigned = new Set();
 
+        // Random value for a requirement the level uses, null for the ones it doesn't
+        const pick = (requirement, values) => (requirements.includes(requirement)
+            ? values[Math.floor(this.random() * values.length)]
+            : null);
+
         for (let i = 0; i < this.snowData.length; i++) {
             if (assigned.has(i)) continue;
 
@@ -342,15 +424,24 @@ export class SnowTree {
             const cluster = {
                 id: this.resonanceClusters.length,
                 members: clusterMembers,
-                chord: chords[Math.floor(Math.random() * chords.length)],
-                volume: volumeLevels[Math.floor(Math.random() * volumeLevels.length)],
-                filter: filterRanges[Math.floor(Math.random() * filterRanges.length)],
-                bassNote: bassNotes[Math.floor(Math.random() * bassNotes.length)],
+                chord: pick('chord', chords),
+                volume: pick('volume', volumeLevels),
+                filter: pick('filter', filterRanges),
+                bassNote: pick('bassNote', bassNotes),
+                rhythm: pick('rhythm', DENSITY_LEVELS),
                 cleared: false,
                 resonating: false,
                 resonanceStrength: 0
             };
 
+            // World position of the cluster (tree sits at the origin) - for its positional chime
+            cluster.center = new THREE.Vector3();
+            clusterMembers.forEach(member => cluster.center.add(member.position));
+            cluster.center.divideScalar(clusterMembers.length);
+
+            // What the cluster should sound like in spectrum mode
+            cluster.spectrum = getSpectralProfile(cluster, this.music);
+
             // Assign cluster to all members
             clusterMembers.forEach(member => {
                 member.cluster = cluster;
@@ -366,58 +457,127 @@ export class SnowTree {
         // Check which clusters are resonating with current musical parameters
         const matchedClusters = [];
 
+        // Two-player params carry one params object per player.
+        // Readings are the same for every cluster - work them out once
+        const players = params.players || [params];
+        const readings = players.map((playerParams, i) => this.readParams(playerParams, i));
+
+        // Spectrum mode listens to the mix instead (both players are in it)
+        const spectrum = this.spectrumAnalyser ? this.spectrumAnalyser.analyse() : null;
+
         this.resonanceClusters.forEach((cluster) => {
             if (cluster.cleared) return;
 
-            let matches = 0;
-            let totalChecks = 0;
+            const strength = spectrum
+                ? matchSpectrum(cluster.spectrum, spectrum)
+                : this.getResonanceStrength(cluster, readings);
+
+            // Only update when someone is playing something this cluster checks
+            if (strength !== null) {
+                cluster.resonanceStrength = strength;
+                cluster.resonating = cluster.resonanceStrength > this.level.threshold;
 
-            // Check chord match
-            if (params.chordName) {
-                totalChecks++;
-                if (params.chordName.includes(cluster.chord)) {
-                    matches++;
+                if (cluster.resonating) {
+                    matchedClusters.push(cluster);
                 }
             }
+        });
 
-            // Check volume match
-            if (params.volume !== undefined) {
-                totalChecks++;
-                const volLevel = params.volume > -10 ? 'high' : params.volume > -20 ? 'mid' : 'low';
-                if (volLevel === cluster.volume) {
-                    matches++;
-                }
+        return matchedClusters;
+    }
+
+    // One player's params in the terms clusters ask for (chord, level names, bass note)
+    readParams(params, playerIndex) {
+        // Volume (dB) and filter (octaves) level bands - hysteresis stops levels flickering at the edges
+        if (!this.levelQuantizers[playerIndex]) {
+            this.levelQuantizers[playerIndex] = {
+                volume: new HysteresisQuantizer([-20, -10], 1),
+                filter: new HysteresisQuantizer([Math.log2(1000), Math.log2(4000)], 0.1)
+            };
+        }
+        const levels = this.levelQuantizers[playerIndex];
+
+        return {
+            chordName: params.chordName || null,
+            volume: params.volume !== undefined
+                ? VOLUME_LEVELS[levels.volume.update(params.volume)]
+                : null,
+            filter: params.filterFreq !== undefined
+                ? FILTER_LEVELS[levels.filter.update(Math.log2(params.filterFreq))]
+                : null,
+            // Bass only counts if it was recently triggered
+            bassNote: params.bassNote && params.bassTriggered ? params.bassNote : null,
+            rhythm: params.rhythm || null
+        };
+    }
+
+    getResonanceStrength(cluster, readings) {
+        if (this.resonanceMode === 'combined') {
+            return this.matchCluster(cluster, readings);
+        }
+
+        // 'either' - whichever player matches best
+        let best = null;
+        readings.forEach((reading) => {
+            const strength = this.matchCluster(cluster, [reading]);
+            if (strength !== null && (best === null || strength > best)) {
+                best = strength;
             }
+        });
+        return best;
+    }
 
-            // Check filter match
-            if (params.filterFreq !== undefined) {
-                totalChecks++;
-                const filterLevel = params.filterFreq > 4000 ? 'bright' : params.filterFreq > 1000 ? 'medium' : 'dark';
-                if (filterLevel === cluster.filter) {
-                    matches++;
-                }
+    // Fraction of the cluster's checks met by any of the readings (null = nothing to check)
+    matchCluster(cluster, readings) {
+        let matches = 0;
+        let totalChecks = 0;
+
+        // Check chord match
+        const chords = readings.map(r => r.chordName).filter(Boolean);
+        if (cluster.chord && chords.length > 0) {
+            totalChecks++;
+            if (chords.some(chord => getChordLabel(chord) === cluster.chord)) {
+                matches++;
             }
+        }
 
-            // Check bass note match (only if bass was recently triggered)
-            if (params.bassNote && params.bassTriggered) {
-                totalChecks++;
-                if (params.bassNote.includes(cluster.bassNote)) {
-                    matches++;
-                }
+        // Check volume match
+        const volumes = readings.map(r => r.volume).filter(Boolean);
+        if (cluster.volume && volumes.length > 0) {
+            totalChecks++;
+            if (volumes.includes(cluster.volume)) {
+                matches++;
             }
+        }
 
-            // Calculate resonance strength
-            if (totalChecks > 0) {
-                cluster.resonanceStrength = matches / totalChecks;
-                cluster.resonating = cluster.resonanceStrength > 0.6;
+        // Check filter match
+        const filters = readings.map(r => r.filter).filter(Boolean);
+        if (cluster.filter && filters.length > 0) {
+            totalChecks++;
+            if (filters.includes(cluster.filter)) {
+                matches++;
+            }
+        }
 
-                if (cluster.resonating) {
-                    matchedClusters.push(cluster);
-                }
+        // Check bass note match
+        const bassNotes = readings.map(r => r.bassNote).filter(Boolean);
+        if (cluster.bassNote && bassNotes.length > 0) {
+            totalChecks++;
+            if (bassNotes.some(note => getNoteName(note) === cluster.bassNote)) {
+                matches++;
             }
-        });
+        }
 
-        return matchedClusters;
+        // Check drum density match (only clusters that ask for one)
+        const rhythms = readings.map(r => r.rhythm).filter(Boolean);
+        if (cluster.rhythm && rhythms.length > 0) {
+            totalChecks++;
+            if (rhythms.includes(cluster.rhythm)) {
+                matches++;
+            }
+        }
+
+        return totalChecks > 0 ? matches / totalChecks : null;
     }
 
     clearCluster(cluster) {
@@ -431,6 +591,10 @@ export class SnowTree {
                 this.startSnowFall(snow);
             }
         });
+
+        if (this.onClusterCleared) {
+            this.onClusterCleared(cluster);
+        }
     }
 
     startSnowFall(snow) {
@@ -459,14 +623,14 @@ export class SnowTree {
             rotation: new THREE.Euler().setFromQuaternion(snow.originalQuaternion),
             scale: snow.originalScale.clone(),
             velocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 0.03,
-                -0.01 - Math.random() * 0.02,
-                (Math.random() - 0.5) * 0.03
+                (this.random() - 0.5) * 0.03,
+                -0.01 - this.random() * 0.02,
+                (this.random() - 0.5) * 0.03
             ),
             rotationVelocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 0.02,
-                (Math.random() - 0.5) * 0.02,
-                (Math.random() - 0.5) * 0.02
+                (this.random() - 0.5) * 0.02,
+                (this.random() - 0.5) * 0.02,
+                (this.random() - 0.5) * 0.02
             ),
             index: snow.index
         });
@@ -475,6 +639,7 @@ export class SnowTree {
     update(resonanceProgress = {}) {
         // Update falling snow (using InstancedMesh)
         let fallingNeedsUpdate = false;
+        const landed = [];
 
         this.fallingSnowData = this.fallingSnowData.filter((falling) => {
             // Apply gravity
@@ -504,12 +669,17 @@ export class SnowTree {
                 this.tempScale.set(0, 0, 0);
                 this.tempMatrix.compose(falling.position, this.tempQuaternion, this.tempScale);
                 this.fallingSnowMesh.setMatrixAt(falling.instanceIndex, this.tempMatrix);
+                landed.push(falling.position);
                 return false;
             }
 
             return true;
         });
 
+        if (landed.length > 0 && this.onSnowLanded) {
+            this.onSnowLanded(landed);
+        }
+
         if (fallingNeedsUpdate) {
             this.fallingSnowMesh.instanceMatrix.needsUpdate = true;
         }
@@ -590,4 +760,22 @@ export class SnowTree {
     getTotalZoneCount() {
         return this.resonanceClusters.length;
     }
+
+    // Middle of the tree's bounding box (world space)
+    getCenter() {
+        return new THREE.Box3().setFromObject(this.tree).getCenter(new THREE.Vector3());
+    }
+}
+
+// Deep-assign level overrides onto ez-tree's options object
+function mergeOptions(target, overrides) {
+    for (const key in overrides) {
+        const value = overrides[key];
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)
+            && target[key] !== null && typeof target[key] === 'object') {
+            mergeOptions(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
 }
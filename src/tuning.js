@@ -0,0 +1,119 @@
+import { getPitchClass, noteToMidi } from './theory.js';
+
+// Turns note names into frequencies under a tuning system:
+//   '12tet' - equal temperament (A4 = 440)
+//   'just'  - 5-limit just intonation built on the key's tonic
+//   'scala' - a Scala-style ratio list: one entry per degree above the tonic, the last is the period
+// Every tuning is anchored on the key's tonic in octave 4 at its equal-tempered pitch. Each note plays
+// the scale degree nearest its equal-tempered pitch class, one period per octave - so scales with
+// fewer (or more) than 12 degrees still land near the written notes.
+
+const A4_MIDI = 69;
+
+// 5-limit ratios for each semitone above the tonic
+export const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+// Scala pitch values: '9/8' or '5' are ratios, anything with a '.' is cents ('701.955')
+export function parseScalaPitch(value) {
+    const text = String(value).trim();
+
+    if (text.includes('.')) {
+        const cents = parseFloat(text);
+        if (!isFinite(cents)) throw new Error(`Invalid Scala pitch: ${value}`);
+        return Math.pow(2, cents / 1200);
+    }
+
+    const [numerator, denominator = '1'] = text.split('/');
+    const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+    if (!isFinite(ratio) || ratio <= 0) throw new Error(`Invalid Scala pitch: ${value}`);
+    return ratio;
+}
+
+// Contents of a .scl file → ratios (degree 1 … period)
+export function parseScala(text) {
+    const lines = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('!'));
+
+    // First line is the description, second the note count
+    const count = parseInt(lines[1], 10);
+    if (!(count > 0)) throw new Error('Invalid Scala file: missing note count');
+
+    return lines.slice(2, 2 + count).map(line => parseScalaPitch(line.split(/\s+/)[0]));
+}
+
+export class Tuning {
+    // options: { system: '12tet' | 'just' | 'scala', key: 'Eb', ratios: [...], a4: 440 }
+    constructor(options = {}) {
+        this.system = options.system || '12tet';
+        this.key = options.key || 'C';
+        this.a4 = options.a4 || 440;
+
+        if (this.system === 'just') {
+            this.ratios = JUST_RATIOS;
+            this.period = 2;
+        } else if (this.system === 'scala') {
+            // Scala lists degrees 1…n with the period last; degree 0 (the tonic) is implied
+            const pitches = (options.ratios || []).map(parseScalaPitch);
+            if (pitches.length === 0) throw new Error('Scala tuning needs at least one ratio');
+            this.ratios = [1, ...pitches.slice(0, -1)];
+            this.period = pitches[pitches.length - 1];
+            if (this.period <= 1) throw new Error(`Scala period must be above 1/1: ${options.ratios[options.ratios.length - 1]}`);
+        } else if (this.system !== '12tet') {
+            throw new Error(`Unknown tuning system: ${this.system}`);
+        }
+    }
+
+    // Equal-tempered frequency of a MIDI note
+    equalTempered(midi) {
+        return this.a4 * Math.pow(2, (midi - A4_MIDI) / 12);
+    }
+
+    // Note name ('Eb2') or MIDI number → Hz
+    frequency(note) {
+        const midi = typeof note === 'number' ? note : noteToMidi(note);
+        if (this.system === '12tet') {
+            return this.equalTempered(midi);
+        }
+
+        // Octaves and semitones above the anchor tonic
+        const anchor = getPitchClass(this.key) + 60;
+        const steps = midi - anchor;
+        const octaves = Math.floor(steps / 12);
+        const semitone = steps - octaves * 12;
+
+        return this.equalTempered(anchor) * Math.pow(this.period, octaves) * this.nearestRatio(semitone * 100);
+    }
+
+    // Scale ratio closest to a pitch in cents above the tonic (the period counts, as the tonic above)
+    nearestRatio(cents) {
+        let best = 1;
+        let bestDistance = Infinity;
+        [...this.ratios, this.period].forEach((ratio) => {
+            const distance = Math.abs(1200 * Math.log2(ratio) - cents);
+            if (distance < bestDistance) {
+                best = ratio;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    frequencies(notes) {
+        return notes.map(note => this.frequency(note));
+    }
+}
+
+// Tuning options from the URL (a system name or { system, ratios }) → the same options if they make a
+// Tuning, otherwise undefined (12-TET) with a warning - a typo shouldn't stop the audio from starting
+export function resolveTuning(options) {
+    if (options === undefined) return undefined;
+
+    try {
+        new Tuning(typeof options === 'string' ? { system: options } : options);
+        return options;
+    } catch (error) {
+        console.warn(`${error.message} - using 12-TET`);
+        return undefined;
+    }
+}
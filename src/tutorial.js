@@ -0,0 +1,210 @@
+// Step-by-step tutorial before the game: each step waits for the player to do something with
+// their hands, then fades to the next. Timing comes from params.timestamp (like GameManager),
+// so a replayed recording walks through it identically however fast the frames arrive.
+
+export const TUTORIAL_STEPS = [
+    { message: 'put up your left hand', check: 'leftHandVisible' },
+    { message: 'move your hand up and down\nto try different chords', check: 'leftHandMoved' },
+    { message: 'put your thumb and\npointer finger together\nto play a note', check: 'leftPinched' },
+    { message: 'put up your right hand', check: 'rightHandVisible' },
+    { message: 'move it higher and lower\nto change the volume', check: 'rightHandMoved' },
+    { message: 'move your thumb and\npointer fingers together\nand apart to change the sound', check: 'rightPinchMoved' },
+    { message: 'now stretch both hands\nas high and as low as you can\nand pinch open and closed', check: 'calibrate' },
+    { message: 'try different combinations\nto make snow fall\noff the tree', check: 'complete' }
+];
+
+const FADE_TIME = 1000;          // ms between one message fading out and the next appearing
+const HIDE_DELAY = 5000;         // ms the last message stays up once the game is unlocked
+const CALIBRATION_TIME = 5000;   // ms the calibration step measures hand ranges
+
+function createRanges() {
+    return {
+        leftHandMinY: Infinity,
+        leftHandMaxY: -Infinity,
+        rightHandMinY: Infinity,
+        rightHandMaxY: -Infinity,
+        rightPinchMinDist: Infinity,
+        rightPinchMaxDist: -Infinity
+    };
+}
+
+function widenRanges(ranges, params) {
+    if (params.leftHandY !== undefined) {
+        ranges.leftHandMinY = Math.min(ranges.leftHandMinY, params.leftHandY);
+        ranges.leftHandMaxY = Math.max(ranges.leftHandMaxY, params.leftHandY);
+    }
+    if (params.rightHandY !== undefined) {
+        ranges.rightHandMinY = Math.min(ranges.rightHandMinY, params.rightHandY);
+        ranges.rightHandMaxY = Math.max(ranges.rightHandMaxY, params.rightHandY);
+    }
+    if (params.rightPinchDist !== undefined) {
+        ranges.rightPinchMinDist = Math.min(ranges.rightPinchMinDist, params.rightPinchDist);
+        ranges.rightPinchMaxDist = Math.max(ranges.rightPinchMaxDist, params.rightPinchDist);
+    }
+}
+
+export class Tutorial {
+    constructor(options = {}) {
+        this.steps = options.steps || TUTORIAL_STEPS;
+        this.calibrationTime = options.calibrationTime !== undefined ? options.calibrationTime : CALIBRATION_TIME;
+
+        // Set before start() when a player has no stored calibration profile
+        this.needsCalibration = false;
+
+        this.active = false;
+        this.step = 0;
+        this.gameUnlocked = false;
+
+        // Fades in progress (ms timestamps, null when idle)
+        this.transitionEnd = null;
+        this.hideTime = null;
+        this.calibrationStartTime = null;
+
+        // Player 1's ranges, widened by the movement steps; playerRanges has one per player for calibration
+        this.ranges = createRanges();
+        this.playerRanges = [];
+
+        // Hooks for the page
+        this.onMessage = null;      // (step) - show this step's message
+        this.onFadeOut = null;      // () - fade the current message out
+        this.onCalibrated = null;   // (playerRanges) - hand ranges measured in the calibrate step
+        this.onUnlock = null;       // () - the game starts
+        this.onHide = null;         // () - tutorial finished, take it off screen
+    }
+
+    get transitioning() {
+        return this.transitionEnd !== null;
+    }
+
+    get currentStep() {
+        return this.steps[this.step] || null;
+    }
+
+    start() {
+        // Players with a stored profile skip the calibration step
+        if (!this.needsCalibration) {
+            this.steps = this.steps.filter(step => step.check !== 'calibrate');
+        }
+
+        this.active = true;
+        this.step = 0;
+        if (this.onMessage) this.onMessage(this.currentStep);
+    }
+
+    // Call with every params frame while active
+    update(params) {
+        const now = params.timestamp !== undefined ? params.timestamp : Date.now();
+
+        if (this.hideTime !== null) {
+            this.updateHide(now);
+            return;
+        }
+
+        if (this.transitioning) {
+            if (now >= this.transitionEnd) {
+                this.nextStep(now);
+            }
+            return;
+        }
+
+        const step = this.currentStep;
+        if (step && this.isStepDone(step.check, params, now)) {
+            this.advance(now);
+        }
+    }
+
+    isStepDone(check, params, now) {
+        const ranges = this.ranges;
+
+        switch (check) {
+            case 'leftHandVisible':
+                return params.leftHandY !== undefined;
+
+            // Need to move at least 30% of the range
+            case 'leftHandMoved':
+                widenRanges(ranges, { leftHandY: params.leftHandY });
+                return ranges.leftHandMaxY - ranges.leftHandMinY > 0.3;
+
+            // Left hand pinch (bass trigger)
+            case 'leftPinched':
+                return Boolean(params.leftPinchTriggered);
+
+            case 'rightHandVisible':
+                return params.rightHandY !== undefined;
+
+            case 'rightHandMoved':
+                widenRanges(ranges, { rightHandY: params.rightHandY });
+                return ranges.rightHandMaxY - ranges.rightHandMinY > 0.3;
+
+            // Need to vary pinch distance significantly
+            case 'rightPinchMoved':
+                widenRanges(ranges, { rightPinchDist: params.rightPinchDist });
+                return ranges.rightPinchMaxDist - ranges.rightPinchMinDist > 0.15;
+
+            case 'calibrate':
+                return this.updateCalibration(params, now);
+
+            default:
+                return false;
+        }
+    }
+
+    // Keeps widening every player's ranges, then hands them over once the time is up
+    updateCalibration(params, now) {
+        if (this.calibrationStartTime === null) {
+            this.calibrationStartTime = now;
+        }
+
+        // Player 1's ranges are the ones already widened by the steps before; others start empty
+        const players = params.players || [params];
+        players.forEach((playerParams, i) => {
+            if (!this.playerRanges[i]) {
+                this.playerRanges[i] = i === 0 ? this.ranges : createRanges();
+            }
+            widenRanges(this.playerRanges[i], playerParams);
+        });
+
+        if (now - this.calibrationStartTime <= this.calibrationTime) return false;
+
+        if (this.onCalibrated) this.onCalibrated(this.playerRanges);
+        return true;
+    }
+
+    advance(now) {
+        this.transitionEnd = now + FADE_TIME;
+        if (this.onFadeOut) this.onFadeOut();
+    }
+
+    nextStep(now) {
+        this.transitionEnd = null;
+        this.step++;
+
+        const step = this.currentStep;
+        if (!step) return;
+
+        if (this.onMessage) this.onMessage(step);
+
+        // Final step: unlock the game, leave the message up for a while
+        if (step.check === 'complete') {
+            this.gameUnlocked = true;
+            this.hideTime = now + HIDE_DELAY;
+            if (this.onUnlock) this.onUnlock();
+        }
+    }
+
+    updateHide(now) {
+        if (now < this.hideTime) return;
+
+        if (this.transitionEnd === null) {
+            this.transitionEnd = this.hideTime + FADE_TIME;
+            if (this.onFadeOut) this.onFadeOut();
+        }
+
+        if (now >= this.transitionEnd) {
+            this.transitionEnd = null;
+            this.hideTime = null;
+            this.active = false;
+            if (this.onHide) this.onHide();
+        }
+    }
+}
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParamsTimeline, encodeWav, snapshotParams, restoreParams } from '../src/audioRecorder.js';
+
+// AudioBuffer stand-in with the given samples per channel
+function fakeBuffer(channels, sampleRate = 48000) {
+    return {
+        numberOfChannels: channels.length,
+        sampleRate,
+        length: channels[0].length,
+        getChannelData: c => Float32Array.from(channels[c])
+    };
+}
+
+function readString(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+test('encodeWav: RIFF/fmt/data headers for 16-bit stereo PCM', () => {
+    const wav = encodeWav(fakeBuffer([[0, 0.5, -0.5], [0, 0, 0]]));
+    const view = new DataView(wav);
+    const dataSize = 3 * 2 * 2;
+
+    assert.equal(wav.byteLength, 44 + dataSize);
+    assert.equal(readString(view, 0, 4), 'RIFF');
+    assert.equal(view.getUint32(4, true), 36 + dataSize);
+    assert.equal(readString(view, 8, 4), 'WAVE');
+
+    assert.equal(readString(view, 12, 4), 'fmt ');
+    assert.equal(view.getUint32(16, true), 16);
+    assert.equal(view.getUint16(20, true), 1);              // PCM
+    assert.equal(view.getUint16(22, true), 2);              // channels
+    assert.equal(view.getUint32(24, true), 48000);          // sample rate
+    assert.equal(view.getUint32(28, true), 48000 * 2 * 2);  // byte rate
+    assert.equal(view.getUint16(32, true), 4);              // block align
+    assert.equal(view.getUint16(34, true), 16);             // bits per sample
+
+    assert.equal(readString(view, 36, 4), 'data');
+    assert.equal(view.getUint32(40, true), dataSize);
+});
+
+test('encodeWav: interleaves channels and clips to 16 bits', () => {
+    const wav = encodeWav(fakeBuffer([[1, -1, 2], [0.5, -2, 0]]));
+    const view = new DataView(wav);
+    const samples = [];
+    for (let offset = 44; offset < wav.byteLength; offset += 2) {
+        samples.push(view.getInt16(offset, true));
+    }
+
+    assert.deepEqual(samples, [32767, Math.floor(0.5 * 0x7fff), -32768, -32768, 32767, 0]);
+});
+
+test('snapshot/restore: two-player params survive a JSON round trip', () => {
+    const params = {
+        leftHandY: 0.25,
+        rightHandY: 0.75,
+        rightPinchDist: 0.1,
+        leftPinchTriggered: true,
+        leftHandX: null,
+        gestures: { leftFist: true },
+        timestamp: 5000
+    };
+    params.players = [params, { leftHandY: 0.6, rightHandY: 0.4, timestamp: 5000 }];
+
+    const snapshot = JSON.parse(JSON.stringify(snapshotParams(params)));
+    const restored = restoreParams(snapshot, 1200);
+
+    assert.equal(restored.timestamp, 1200);
+    assert.equal(restored.leftHandY, 0.25);
+    assert.equal(restored.rightPinchDist, 0.1);
+    assert.equal(restored.leftPinchTriggered, true);
+    assert.equal(restored.leftHandX, null);
+    assert.equal(restored.gestures, undefined);
+
+    assert.equal(restored.players.length, 2);
+    assert.equal(restored.players[0], restored);
+    assert.deepEqual(restored.players[1], { leftHandY: 0.6, rightHandY: 0.4, timestamp: 1200 });
+});
+
+test('snapshot/restore: single-player params have no players list', () => {
+    const params = { leftHandY: 0.5, timestamp: 100 };
+    params.players = [params];
+
+    const restored = restoreParams(snapshotParams(params), 0);
+    assert.deepEqual(restored, { leftHandY: 0.5, timestamp: 0 });
+});
+
+test('ParamsTimeline: frames and seed survive toJSON/fromJSON', () => {
+    const timeline = new ParamsTimeline();
+    timeline.capture({ leftHandY: 0.1, timestamp: 1000 });
+    timeline.start(1234);
+    timeline.capture({ leftHandY: 0.2, timestamp: 1000 });
+    timeline.capture({ leftHandY: 0.3, timestamp: 1500 });
+    timeline.stop();
+
+    const loaded = ParamsTimeline.fromJSON(JSON.parse(JSON.stringify(timeline.toJSON())));
+    assert.equal(loaded.seed, 1234);
+    assert.equal(loaded.duration, 0.5);
+    assert.deepEqual(loaded.frames, [
+        { t: 0, params: { leftHandY: 0.2 } },
+        { t: 500, params: { leftHandY: 0.3 } }
+    ]);
+
+    assert.throws(() => ParamsTimeline.fromJSON({ version: 99, frames: [] }), /Unsupported/);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHatDensity, getStepEvents, DRUM_PATTERNS } from '../src/drums.js';
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual}, expected ${expected}`);
+}
+
+test('hat density follows the gap between the hands, not their height', () => {
+    assert.equal(getHatDensity({ rightHandY: 0.2 }), undefined);
+
+    // Hands together: sparse; far apart: busy; height doesn't matter
+    assert.equal(getHatDensity({ leftHandX: 0.45, rightHandX: 0.5, rightHandY: 0.1 }), 0);
+    assert.equal(getHatDensity({ leftHandX: 0.1, rightHandX: 0.9, rightHandY: 0.9 }), 1);
+    near(getHatDensity({ leftHandX: 0.3, rightHandX: 0.65 }), 0.5);
+
+    // Two players: the same gap counts double on half the screen
+    near(getHatDensity({ leftHandX: 0.1, rightHandX: 0.275 }, 2), 0.5);
+});
+
+test('a controller\'s own hat density wins over hand positions', () => {
+    assert.equal(getHatDensity({ hatDensity: 0.25, leftHandX: 0.1, rightHandX: 0.9 }), 0.25);
+});
+
+test('density levels add hats between the pattern\'s own', () => {
+    const pattern = DRUM_PATTERNS.halfTime;
+
+    assert.equal(getStepEvents(pattern, 2, 0).hat, 0);
+    assert.equal(getStepEvents(pattern, 2, 1).hat, 0.25);
+    assert.equal(getStepEvents(pattern, 1, 1).hat, 0);
+    assert.equal(getStepEvents(pattern, 1, 2).hat, 0.25);
+    assert.equal(getStepEvents(pattern, 0, 2).hat, 0.5);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput } from '../src/gamepad.js';
+import { buildMusicSet, getBassPinch } from '../src/theory.js';
+
+const music = buildMusicSet();
+
+// Standard-mapping pad at rest: four axes, 17 buttons
+function mockPad() {
+    return {
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+    };
+}
+
+function press(pad, index, value = 1) {
+    pad.buttons[index] = { pressed: value > 0.5, value };
+}
+
+function createInput(pad, options = {}) {
+    return new GamepadInput({ music, getGamepads: () => [null, pad], ...options });
+}
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual}, expected ${expected}`);
+}
+
+test('no pad, or a pad at rest: no params', () => {
+    assert.deepEqual(new GamepadInput({ music, getGamepads: () => [] }).buildParams(), {});
+
+    const input = createInput(mockPad());
+    input.poll(0);
+    input.poll(16);
+    assert.deepEqual(input.buildParams(), {});
+});
+
+test('sticks move the hands from the middle and stay put; the deadzone is ignored', () => {
+    const pad = mockPad();
+    const input = createInput(pad);
+    input.poll(0);
+
+    // Inside the deadzone: still untouched
+    pad.axes[1] = 0.1;
+    input.poll(100);
+    assert.equal(input.leftHandY, null);
+
+    // Full tilt up for 0.1s, right stick half down
+    pad.axes[1] = -1;
+    pad.axes[3] = 0.5;
+    input.poll(200);
+    near(input.leftHandY, 0.5 - 0.08);
+    near(input.rightHandY, 0.5 + 0.04);
+
+    // Released: the values hold
+    pad.axes[1] = 0;
+    pad.axes[3] = 0;
+    input.poll(300);
+    const params = input.buildParams();
+    near(params.leftHandY, 0.42);
+    near(params.rightHandY, 0.54);
+    near(params.rightPinchDist, (input.PINCH_MIN + input.PINCH_MAX) / 2);
+});
+
+test('right stick X sets the hat density on its own, without touching volume', () => {
+    const pad = mockPad();
+    const input = createInput(pad);
+    input.poll(0);
+
+    pad.axes[2] = 1;
+    input.poll(100);
+    const params = input.buildParams();
+    near(params.hatDensity, 0.58);
+    assert.equal(params.rightHandY, undefined);
+});
+
+test('absolute sticks follow the tilt and snap back to the middle', () => {
+    const pad = mockPad();
+    const input = createInput(pad, { absolute: true });
+
+    pad.axes[1] = -0.1;
+    input.poll(0);
+    assert.equal(input.leftHandY, null);
+
+    pad.axes[1] = -1;
+    input.poll(16);
+    assert.equal(input.leftHandY, 0);
+
+    pad.axes[1] = 0.05;
+    input.poll(32);
+    assert.equal(input.leftHandY, 0.5);
+});
+
+test('triggers open and close the filter', () => {
+    const pad = mockPad();
+    const input = createInput(pad);
+    input.poll(0);
+
+    press(pad, 7, 1);
+    input.poll(100);
+    near(input.filter, 0.56);
+
+    // A long frame counts as 0.1s
+    press(pad, 7, 0);
+    press(pad, 6, 1);
+    input.poll(1100);
+    near(input.filter, 0.5);
+
+    // Either control wakes the right hand, the other sits in the middle
+    near(input.buildParams().rightPinchDist, (input.PINCH_MIN + input.PINCH_MAX) / 2);
+    assert.equal(input.buildParams().rightHandY, 0.5);
+});
+
+test('face buttons play bass notes once per press; the D-pad picks the octave', () => {
+    const pad = mockPad();
+    const input = createInput(pad);
+
+    press(pad, 0);
+    input.poll(0);
+    let params = input.buildParams();
+    let pinch = getBassPinch(music, 1, 0);
+    assert.equal(params.leftPinchTriggered, true);
+    assert.equal(params.leftPinchX, pinch.x);
+    assert.equal(params.leftPinchY, pinch.y);
+
+    // Held: no retrigger
+    input.poll(16);
+    assert.equal(input.buildParams().leftPinchTriggered, undefined);
+
+    // Octave down, then B
+    press(pad, 0, 0);
+    press(pad, 13);
+    press(pad, 1);
+    input.poll(32);
+    params = input.buildParams();
+    pinch = getBassPinch(music, 0, 2);
+    assert.equal(params.leftPinchX, pinch.x);
+    assert.equal(params.leftPinchY, pinch.y);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { recognizeGesture } from '../src/gestures.js';
+
+// Hand poses in the landmark recording format (see recording.js), one labelled frame per pose
+const recording = JSON.parse(readFileSync(new URL('./fixtures/hand-poses.json', import.meta.url), 'utf8'));
+const poses = {};
+recording.frames.forEach((frame) => {
+    poses[frame.label] = frame.multiHandLandmarks[0];
+});
+
+test('fist: no fingers, fist', () => {
+    const gesture = recognizeGesture(poses.fist);
+    assert.equal(gesture.fingerCount, 0);
+    assert.equal(gesture.fist, true);
+    assert.equal(gesture.openPalm, false);
+    assert.equal(gesture.pinching, false);
+});
+
+test('open palm: five fingers', () => {
+    const gesture = recognizeGesture(poses.openPalm);
+    assert.equal(gesture.fingerCount, 5);
+    assert.equal(gesture.openPalm, true);
+    assert.equal(gesture.fist, false);
+});
+
+test('two fingers: index and middle, thumb tucked', () => {
+    assert.equal(recognizeGesture(poses.twoFingers).fingerCount, 2);
+});
+
+test('roll and x: middle knuckle just left of the wrist in the image', () => {
+    const gesture = recognizeGesture(poses.openPalm);
+    // Mirrored, so it leans clockwise on screen: small positive roll
+    assert.ok(Math.abs(gesture.roll - Math.atan2(0.02, 0.18)) < 1e-6);
+    assert.ok(Math.abs(gesture.x - 0.51) < 1e-6);
+});
+
+test('pinching: thumb and index leave the finger count', () => {
+    const closing = recognizeGesture(poses.pinchClosing);
+    assert.equal(closing.pinching, true);
+    assert.equal(closing.fingerCount, 3);
+
+    // Releasing the pinch brings them back
+    const open = recognizeGesture(poses.pinchOpen);
+    assert.equal(open.pinching, false);
+    assert.equal(open.fingerCount, 5);
+});
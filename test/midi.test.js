@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiInput } from '../src/midi.js';
+import { buildMusicSet, getBassPinch, getChordHandY } from '../src/theory.js';
+
+// Browser globals MidiInput touches: the tick loop and the saved mapping
+globalThis.requestAnimationFrame = () => 0;
+const storage = new Map();
+globalThis.window = {
+    localStorage: {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value))
+    }
+};
+
+const music = buildMusicSet();
+
+// MIDIAccess with one keyboard plugged in
+function mockMidiAccess() {
+    return { inputs: new Map([['keyboard', { type: 'input', onmidimessage: null }]]), onstatechange: null };
+}
+
+async function createInput() {
+    storage.clear();
+    const midiAccess = mockMidiAccess();
+    const input = new MidiInput({ music, midiAccess });
+    await input.init();
+    return { input, midiAccess, keyboard: midiAccess.inputs.get('keyboard') };
+}
+
+test('messages from every input, including ones connected later', async () => {
+    const { input, midiAccess, keyboard } = await createInput();
+
+    keyboard.onmidimessage({ data: [0x90, 62, 100] });
+    assert.equal(input.chordIndex, 1);
+
+    const pads = { type: 'input', state: 'connected', onmidimessage: null };
+    midiAccess.onstatechange({ port: pads });
+    pads.onmidimessage({ data: [0x91, 65, 100] });
+    assert.equal(input.chordIndex, 3);
+});
+
+test('chord keys, bass keys and controls become params', async () => {
+    const { input } = await createInput();
+
+    input.handleMessage([0x90, 60, 100]);
+    input.handleMessage([0x90, 37, 90]);
+    input.handleMessage([0xb0, 7, 127]);
+
+    const params = input.buildParams();
+    const pinch = getBassPinch(music, 0, 1);
+    assert.equal(params.leftHandY, getChordHandY(music, 0));
+    assert.equal(params.leftPinchX, pinch.x);
+    assert.equal(params.leftPinchY, pinch.y);
+    assert.equal(params.leftPinchTriggered, true);
+    assert.equal(params.rightHandY, 0);
+    // Filter untouched: middle of the pinch range
+    assert.ok(Math.abs(params.rightPinchDist - (input.PINCH_MIN + input.PINCH_MAX) / 2) < 1e-9);
+
+    // A bass hit fires once
+    assert.equal(input.buildParams().leftPinchTriggered, undefined);
+
+    // Hat density has its own control, separate from volume
+    assert.equal(params.hatDensity, undefined);
+    input.handleMessage([0xb0, 11, 0]);
+    assert.equal(input.buildParams().hatDensity, 0);
+    assert.equal(input.buildParams().rightHandY, 0);
+});
+
+test('note-on with velocity 0 is a note-off and is ignored', async () => {
+    const { input } = await createInput();
+
+    input.handleMessage([0x90, 60, 100]);
+    input.handleMessage([0x90, 62, 0]);
+    assert.equal(input.chordIndex, 0);
+
+    // Not learned either
+    const learned = input.learn({ action: 'chord', index: 4 });
+    input.handleMessage([0x90, 50, 0]);
+    assert.equal(input.mapping.notes[50], undefined);
+    input.cancelLearn();
+    assert.equal(await learned, null);
+});
+
+test('learn rebinds a key, moving the target off its old key', async () => {
+    const { input } = await createInput();
+
+    const learned = input.learn({ action: 'chord', index: 2 });
+    input.handleMessage([0x90, 50, 100]);
+    assert.equal(await learned, 50);
+    assert.equal(input.learning, null);
+
+    // The learning message doesn't play; the old key (E4) no longer selects chord 3
+    assert.equal(input.chordIndex, null);
+    assert.equal(input.mapping.notes[64], undefined);
+    input.handleMessage([0x90, 50, 100]);
+    assert.equal(input.chordIndex, 2);
+
+    // Saved, so a new MidiInput picks it up
+    assert.deepEqual(new MidiInput({ music }).mapping.notes[50], { action: 'chord', index: 2 });
+});
+
+test('learn binds a control; notes don\'t satisfy a control target', async () => {
+    const { input } = await createInput();
+
+    const learned = input.learn('filter');
+    input.handleMessage([0x90, 60, 100]);
+    assert.equal(input.chordIndex, 0);
+
+    input.handleMessage([0xb0, 21, 127]);
+    assert.equal(await learned, 21);
+    assert.equal(input.filter, null);
+
+    input.handleMessage([0xb0, 21, 0]);
+    assert.equal(input.filter, 0);
+});
+
+test('cancelLearn resolves null and leaves the mapping alone', async () => {
+    const { input } = await createInput();
+    const before = JSON.stringify(input.mapping);
+
+    const learned = input.learn({ action: 'bass', octave: 1, index: 0 });
+    input.cancelLearn();
+    assert.equal(await learned, null);
+
+    input.handleMessage([0x90, 60, 100]);
+    assert.equal(input.chordIndex, 0);
+    assert.equal(JSON.stringify(input.mapping), before);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerformanceLog } from '../src/midiExport.js';
+
+// Track chunk lengths, checking each ends with End of Track
+function readTracks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tracks = [];
+    let position = 14;
+    while (position < bytes.length) {
+        const length = view.getUint32(position + 4);
+        const end = position + 8 + length;
+        assert.deepEqual([...bytes.subarray(end - 3, end)], [0xff, 0x2f, 0x00]);
+        tracks.push(length);
+        position = end;
+    }
+    assert.equal(position, bytes.length);
+    return tracks;
+}
+
+test('header and tracks, starting on the bar of the first event', () => {
+    const log = new PerformanceLog();
+    log.logChord(['C3', 'E3', 'G3'], 800);
+    log.logBass('C1', 900, 96);
+
+    const bytes = log.toMidiFile({ ppq: 192, bpm: 100, endTicks: 2000 });
+    assert.equal(String.fromCharCode(...bytes.subarray(0, 4)), 'MThd');
+    assert.equal(readTracks(bytes).length, 3);
+
+    // First pad note-on 32 ticks into bar 2 (800 - 768)
+    const padStart = 14 + 8 + 32 + 8;
+    assert.deepEqual([...bytes.subarray(padStart + 7, padStart + 11)], [0x20, 0x90, 48, 80]);
+});
+
+test('long sessions export without overflowing the call stack', () => {
+    const log = new PerformanceLog();
+    for (let i = 0; i < 50000; i++) {
+        log.logChord(['Eb3', 'G3', 'Bb3'], i * 96);
+        log.logBass('Eb1', i * 96, 48);
+    }
+
+    const bytes = log.toMidiFile({ ppq: 192, bpm: 120 });
+    assert.equal(readTracks(bytes).length, 3);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { parseSeed } from '../src/random.js';
+
+// ez-tree loads its bark textures on import - an image element that never loads is enough here
+globalThis.document = {
+    createElementNS: () => ({ addEventListener() {}, removeEventListener() {}, style: {} })
+};
+const { SnowTree } = await import('../src/tree.js');
+
+// Grows the whole tree (snow, then clusters) the way the game does, and lists what came out
+async function generateLayout(seed) {
+    const snowTree = new SnowTree({ scene: new THREE.Scene() }, {
+        seed,
+        level: { requirements: ['chord', 'volume', 'filter', 'bassNote', 'rhythm'] }
+    });
+    await snowTree.generate();
+
+    return snowTree.resonanceClusters.map(({ id, center, chord, volume, filter, bassNote, rhythm, members }) => ({
+        id,
+        center: center.toArray(),
+        chord,
+        volume,
+        filter,
+        bassNote,
+        rhythm,
+        members: members.map(snow => snow.index)
+    }));
+}
+
+test('parseSeed: numbers as-is, text hashed, empty is null', () => {
+    assert.equal(parseSeed('48213'), 48213);
+    assert.equal(parseSeed('christmas'), parseSeed('christmas'));
+    assert.notEqual(parseSeed('christmas'), parseSeed('easter'));
+    assert.equal(parseSeed(''), null);
+});
+
+test('same seed, same clusters: ids, positions and requirements', async () => {
+    const layout = await generateLayout(48213);
+    assert.ok(layout.length > 1);
+    assert.deepEqual(await generateLayout(48213), layout);
+
+    // The tree's shape comes from the level, so another seed only changes what clusters ask for
+    const other = await generateLayout(48214);
+    assert.deepEqual(other.map(({ id, center }) => ({ id, center })), layout.map(({ id, center }) => ({ id, center })));
+    assert.notDeepEqual(other, layout);
+});
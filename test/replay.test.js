@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { HandTracker } from '../src/hands.js';
+import { LandmarkPlayer } from '../src/recording.js';
+import { Tutorial } from '../src/tutorial.js';
+import { GameManager } from '../src/game.js';
+
+// A new player's session: the tutorial with its calibration step, then holding a low chord
+// until the one cluster clears (see the "t" of each frame for the timeline)
+const recording = JSON.parse(readFileSync(new URL('./fixtures/tutorial-session.json', import.meta.url), 'utf8'));
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual}, expected ${expected}`);
+}
+
+// One cluster that resonates while the chord hand is in the top half
+function createSnowTree() {
+    const cluster = { id: 0, cleared: false, resonating: false };
+    return {
+        level: { clearTime: 1000 },
+        resonanceClusters: [cluster],
+        checkResonance(params) {
+            cluster.resonating = params.leftHandY !== undefined && params.leftHandY < 0.5;
+        },
+        clearCluster(c) {
+            c.cleared = true;
+        },
+        getTotalZoneCount: () => 1,
+        getClearedZoneCount: () => (cluster.cleared ? 1 : 0)
+    };
+}
+
+// Replay wired up the way main.js wires a live input; every hook is logged with the frame time
+function createSession() {
+    const handTracker = new HandTracker({ smoothing: false });
+    // No canvas in Node - drawing calls go nowhere
+    handTracker.overlayCanvas = { width: 640, height: 480 };
+    handTracker.overlayCtx = new Proxy({}, { get: () => () => {} });
+
+    const player = new LandmarkPlayer({ recording, handTracker });
+    const tutorial = new Tutorial();
+    const gameManager = new GameManager(createSnowTree(), null);
+    gameManager.tutorialMode = true;
+
+    const events = [];
+    let time = null;
+    tutorial.needsCalibration = true;
+    tutorial.onMessage = step => events.push([time, 'message', step.check]);
+    tutorial.onFadeOut = () => events.push([time, 'fadeOut']);
+    tutorial.onCalibrated = ranges => events.push([time, 'calibrated', ranges.map(r => ({ ...r }))]);
+    tutorial.onUnlock = () => {
+        events.push([time, 'unlock']);
+        gameManager.tutorialMode = false;
+    };
+    tutorial.onHide = () => events.push([time, 'hide']);
+    gameManager.onGameWon = results => events.push([time, 'won', results]);
+
+    player.onUpdate = (params) => {
+        time = params.timestamp;
+        if (tutorial.gameUnlocked) gameManager.update(params);
+        if (tutorial.active) tutorial.update(params);
+    };
+
+    tutorial.start();
+    return { player, tutorial, gameManager, events };
+}
+
+test('a replayed session walks through the tutorial and wins on recorded time', () => {
+    const { player, tutorial, gameManager, events } = createSession();
+    player.runToEnd();
+
+    // Every step in order, each shown once the previous one's fade is over
+    const messages = events.filter(([, type]) => type === 'message').map(([t, , check]) => [t, check]);
+    assert.deepEqual(messages, [
+        [null, 'leftHandVisible'],
+        [1100, 'leftHandMoved'],
+        [2300, 'leftPinched'],
+        [3500, 'rightHandVisible'],
+        [4600, 'rightHandMoved'],
+        [5800, 'rightPinchMoved'],
+        [7000, 'calibrate'],
+        [13600, 'complete']
+    ]);
+
+    // Calibration ran its 5s from the first frame of the step (7100) and saw the full stretch
+    const [calibratedAt, , [ranges]] = events.find(([, type]) => type === 'calibrated');
+    assert.equal(calibratedAt, 12600);
+    near(ranges.leftHandMinY, 0.2);
+    near(ranges.leftHandMaxY, 0.8);
+    near(ranges.rightHandMinY, 0.2);
+    near(ranges.rightHandMaxY, 0.8);
+
+    // Game starts the frame after the unlock, the cluster needs 1s of resonance
+    const [wonAt, , results] = events.find(([, type]) => type === 'won');
+    assert.equal(wonAt, 14850);
+    assert.deepEqual(results, { time: 1000, clustersCleared: 1, totalClusters: 1 });
+    assert.equal(gameManager.won, true);
+
+    // Message up for 5s after the unlock, then a 1s fade
+    assert.deepEqual(events.at(-1), [20000, 'hide']);
+    assert.equal(tutorial.active, false);
+    assert.equal(tutorial.gameUnlocked, true);
+});
+
+test('the same recording replays identically, however the frames are paced', async () => {
+    const first = createSession();
+    first.player.runToEnd();
+
+    // Frame by frame with real time passing in between
+    const second = createSession();
+    while (second.player.step()) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    assert.deepEqual(second.events, first.events);
+});
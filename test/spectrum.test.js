@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpectrumAnalyser, matchSpectrum } from '../src/spectrum.js';
+
+const SAMPLE_RATE = 44100;
+
+// AudioBuffer stand-in: one second of sines at the given frequencies
+function sineBuffer(frequencies, amplitude = 0.1, seconds = 1) {
+    const samples = new Float32Array(SAMPLE_RATE * seconds);
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        samples[i] = frequencies.reduce((sum, f) => sum + amplitude * Math.sin(2 * Math.PI * f * t), 0);
+    }
+    return { sampleRate: SAMPLE_RATE, getChannelData: () => samples };
+}
+
+// A3, C#4, E4
+const A_MAJOR = [220, 277.18, 329.63];
+
+test('analyseBuffer: chroma, loudness and centroid of a rendered triad', () => {
+    const reading = SpectrumAnalyser.analyseBuffer(sineBuffer(A_MAJOR), 2048);
+
+    const share = [9, 1, 4].reduce((sum, pc) => sum + reading.chroma[pc], 0);
+    assert.ok(share > 0.95, `chord share ${share}`);
+    assert.ok([9, 1, 4].includes(reading.pitchClass));
+
+    // Three sines at 0.1: mean square 0.015 → about -18 dB
+    assert.ok(Math.abs(reading.loudness - 10 * Math.log10(0.015)) < 0.5, `loudness ${reading.loudness}`);
+    assert.ok(reading.centroid > 200 && reading.centroid < 350, `centroid ${reading.centroid}`);
+});
+
+test('analyseBuffer readings match the right cluster profile', () => {
+    const reading = SpectrumAnalyser.analyseBuffer(sineBuffer(A_MAJOR), 2048);
+    const profile = { loudness: -16, centroid: 400 };
+
+    const aMajor = matchSpectrum({ ...profile, pitchClasses: [9, 1, 4] }, reading);
+    const cMajor = matchSpectrum({ ...profile, pitchClasses: [0, 4, 7] }, reading);
+    assert.ok(aMajor > 0.7, `A major ${aMajor}`);
+    assert.ok(cMajor < aMajor - 0.3, `C major ${cMajor}`);
+});
+
+test('analyseBuffer: a buffer shorter than one frame reads as silence', () => {
+    const reading = SpectrumAnalyser.analyseBuffer(sineBuffer(A_MAJOR, 0.1, 0.01), 2048);
+    assert.equal(reading.loudness, -Infinity);
+    assert.equal(matchSpectrum({ pitchClasses: [9, 1, 4] }, reading), null);
+});
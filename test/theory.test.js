@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMusicSet } from '../src/theory.js';
+
+test('Andalusian cadence ends on a major V in minor keys', () => {
+    const music = buildMusicSet({ key: 'A', mode: 'minor', progression: 'andalusian' });
+    assert.deepEqual(music.chordLabels, ['Am', 'G', 'F', 'E']);
+    assert.deepEqual(music.chords[music.chordNames[3]], ['E3', 'G#3', 'B3']);
+
+    // Leading tone spelled as a sharp in flat keys
+    const dMinor = buildMusicSet({ key: 'D', mode: 'minor', progression: 'andalusian' });
+    assert.deepEqual(dMinor.chords[dMinor.chordNames[3]], ['A2', 'C#3', 'E3']);
+});
+
+test('a major marker leaves chords that are already major alone', () => {
+    const music = buildMusicSet({ key: 'C', mode: 'major', progression: 'andalusian' });
+    assert.deepEqual(music.chordLabels, ['C', 'Bdim', 'Am', 'G']);
+    assert.deepEqual(music.chords[music.chordNames[3]], ['G2', 'B2', 'D3']);
+});
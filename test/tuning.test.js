@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tuning, resolveTuning } from '../src/tuning.js';
+
+function assertHz(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 0.01, `${actual} Hz, expected ${expected} Hz`);
+}
+
+// Equal-tempered Eb4, the anchor for every tuning in Eb
+const EB4 = 440 * Math.pow(2, -6 / 12);
+
+test('12-TET: A4 = 440 and octaves double', () => {
+    const tuning = new Tuning({ key: 'Eb' });
+    assertHz(tuning.frequency('A4'), 440);
+    assertHz(tuning.frequency('A2'), 110);
+    assertHz(tuning.frequency('Eb4'), EB4);
+});
+
+test('just intonation in Eb: pure intervals above the tonic in every octave', () => {
+    const tuning = new Tuning({ system: 'just', key: 'Eb' });
+    assertHz(tuning.frequency('Eb4'), EB4);
+    assertHz(tuning.frequency('G4'), EB4 * 5 / 4);
+    assertHz(tuning.frequency('Bb4'), EB4 * 3 / 2);
+    assertHz(tuning.frequency('C5'), EB4 * 5 / 3);
+    assertHz(tuning.frequency('Bb2'), EB4 * 3 / 2 / 4);
+    assertHz(tuning.frequency('D4'), EB4 / 2 * 15 / 8);
+});
+
+test('7-note Scala list in Eb: notes play the nearest degree, octaves stay put', () => {
+    const tuning = new Tuning({ system: 'scala', key: 'Eb', ratios: ['9/8', '5/4', '4/3', '3/2', '5/3', '15/8', '2/1'] });
+    assertHz(tuning.frequency('Eb2'), EB4 / 4);
+    assertHz(tuning.frequency('Eb1'), EB4 / 8);
+    assertHz(tuning.frequency('Bb4'), EB4 * 3 / 2);
+    assertHz(tuning.frequency('G3'), EB4 / 2 * 5 / 4);
+    assertHz(tuning.frequency('Ab5'), EB4 * 2 * 4 / 3);
+});
+
+test('Scala cents and a non-octave period', () => {
+    // Bohlen-Pierce style: the period is a tritave, so each octave of notes steps up 3:1
+    const tuning = new Tuning({ system: 'scala', key: 'C', ratios: ['701.955', '3/1'] });
+    const c4 = 440 * Math.pow(2, -9 / 12);
+    assertHz(tuning.frequency('G4'), c4 * 1.5);
+    assertHz(tuning.frequency('C5'), c4 * 3);
+});
+
+test('resolveTuning: good URL options pass through, bad ones warn and fall back to 12-TET', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.equal(resolveTuning(undefined), undefined);
+    assert.equal(resolveTuning('just'), 'just');
+    const scala = { system: 'scala', ratios: ['9/8', '3/2', '2/1'] };
+    assert.equal(resolveTuning(scala), scala);
+    assert.equal(warn.mock.callCount(), 0);
+
+    // Unknown system, unparseable ratio, empty list, a period that isn't above the tonic
+    assert.equal(resolveTuning('pythagorean'), undefined);
+    assert.equal(resolveTuning({ system: 'scala', ratios: ['9/8', 'abc', '2/1'] }), undefined);
+    assert.equal(resolveTuning({ system: 'scala', ratios: [''] }), undefined);
+    assert.equal(resolveTuning({ system: 'scala', ratios: ['9/8', '1/2'] }), undefined);
+    assert.equal(warn.mock.callCount(), 4);
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown tuning system: pythagorean - using 12-TET/);
+});
@@ -0,0 +1,22 @@
+import { defineConfig } from 'vite';
+import { viteStaticCopy } from 'vite-plugin-static-copy';
+
+// MediaPipe Hands is loaded by script tag at runtime (see HandTracker.loadMediaPipe),
+// so its scripts, wasm and model files are served from /mediapipe/ instead of a CDN.
+// Works offline in dev and gets copied into dist/ on build.
+export default defineConfig({
+    plugins: [
+        viteStaticCopy({
+            targets: [
+                {
+                    src: 'node_modules/@mediapipe/hands/*.{js,wasm,data,tflite,binarypb}',
+                    dest: 'mediapipe/hands'
+                },
+                {
+                    src: 'node_modules/@mediapipe/camera_utils/*.js',
+                    dest: 'mediapipe/camera_utils'
+                }
+            ]
+        })
+    ]
+});